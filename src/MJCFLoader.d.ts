@@ -0,0 +1,10 @@
+import URDFLoader from './URDFLoader';
+import { URDFRobot } from './URDFClasses';
+
+export default class MJCFLoader extends URDFLoader {
+
+    preprocess(content: string, workingPath?: string, url?: string): Promise<string | Document>;
+    expandIncludes(content: string | Document, workingPath?: string): Promise<Document>;
+    parse(content: string | Element | Document, workingPath?: string): URDFRobot;
+
+}
@@ -0,0 +1,787 @@
+import * as THREE from 'three';
+import URDFLoader, { resolvePackagePath } from './URDFLoader.js';
+import { URDFRobot, URDFJoint, URDFLink, URDFCollider, URDFVisual, URDFMimicJoint } from './URDFClasses.js';
+import { URDFValidationReport } from './URDFValidator.js';
+
+/*
+MuJoCo bodies may carry several joints which are all expressed in the body
+frame and applied in order. Each body is mapped to a chain of URDF style
+joints with intermediate links so the result can be driven like a URDF:
+
+    parent link
+      └ joint (body pose + joint pos)
+          └ <body>_<joint> link
+              └ joint (next joint pos)
+                  └ body link (-last joint pos)
+
+Bodies without joints are attached with a fixed joint named "<body>_fixed".
+*/
+
+const tempVector = new THREE.Vector3();
+
+// take a string "a b c ..." and process it into an array of numbers
+function processNumbers(val, fallback = null) {
+
+    if (val === null || val === undefined || !val.trim()) return fallback;
+    return val.trim().split(/\s+/g).map(num => parseFloat(num));
+
+}
+
+function childElements(node, name) {
+
+    return [ ...node.children ].filter(c => c.nodeName.toLowerCase() === name);
+
+}
+
+/* MJCFLoader Class */
+// Loads and reads a MuJoCo MJCF file into the same THREEjs Object3D classes as the URDFLoader
+export default
+class MJCFLoader extends URDFLoader {
+
+    preprocess(content, workingPath = this.workingPath, url = '') {
+
+        const doc = new DOMParser().parseFromString(content, 'text/xml');
+        if (doc.documentElement.nodeName.toLowerCase() !== 'mujoco') {
+
+            return super.preprocess(content, workingPath, url);
+
+        }
+
+        return this.expandIncludes(doc, workingPath);
+
+    }
+
+    // Replaces every <include file> element with the contents of the <mujoco> element of the
+    // referenced file and merges the repeated <worldbody> sections that result. Files are
+    // resolved relative to the main model like MuJoCo does. Returns a promise that resolves
+    // with the expanded document.
+    async expandIncludes(content, workingPath = this.workingPath) {
+
+        const doc = typeof content === 'string' ? new DOMParser().parseFromString(content, 'text/xml') : content.cloneNode(true);
+        const expand = async (node, includeStack) => {
+
+            for (const include of [ ...node.getElementsByTagName('include') ]) {
+
+                const file = include.getAttribute('file');
+                const url = resolvePackagePath(file || '', this.packages, workingPath);
+                if (!file || !url) {
+
+                    throw new Error(`MJCFLoader: Could not resolve the path of <include file="${ file || '' }">.`);
+
+                }
+
+                if (includeStack.includes(url)) {
+
+                    throw new Error(`MJCFLoader: Include loop detected for '${ url }'.`);
+
+                }
+
+                const res = await fetch(this.manager.resolveURL(url), this.fetchOptions);
+                if (!res.ok) {
+
+                    throw new Error(`MJCFLoader: Failed to load include '${ url }' with error code ${ res.status } : ${ res.statusText }.`);
+
+                }
+
+                const included = new DOMParser().parseFromString(await res.text(), 'text/xml').documentElement;
+                if (included.nodeName.toLowerCase() !== 'mujoco') {
+
+                    throw new Error(`MJCFLoader: Expected a <mujoco> root element in include '${ url }' but found <${ included.nodeName }>.`);
+
+                }
+
+                await expand(included, [ ...includeStack, url ]);
+                [ ...included.childNodes ].forEach(n => include.parentNode.insertBefore(doc.importNode(n, true), include));
+                include.parentNode.removeChild(include);
+
+            }
+
+        };
+
+        const root = doc.documentElement;
+        await expand(root, []);
+
+        const [ worldbody, ...repeated ] = childElements(root, 'worldbody');
+        repeated.forEach(w => {
+
+            [ ...w.childNodes ].forEach(n => worldbody.appendChild(n));
+            root.removeChild(w);
+
+        });
+
+        return doc;
+
+    }
+
+    parse(content, workingPath = this.workingPath) {
+
+        let doc = content;
+        if (typeof content === 'string') {
+
+            doc = new DOMParser().parseFromString(content, 'text/xml');
+
+        }
+
+        // .xml files may just as well contain a URDF
+        const root = doc instanceof Document ? doc.documentElement : doc;
+        if (root.nodeName.toLowerCase() === 'robot') {
+
+            return super.parse(doc, workingPath);
+
+        }
+
+        if (root.nodeName.toLowerCase() !== 'mujoco') {
+
+            throw new Error(`MJCFLoader: Expected a <mujoco> root element but found <${ root.nodeName }>.`);
+
+        }
+
+        const packages = this.packages;
+        const loadMeshCb = this.loadMeshCb;
+        const parseVisual = this.parseVisual;
+        const parseCollision = this.parseCollision;
+        const manager = this.manager;
+        const linkMap = {};
+        const jointMap = {};
+        const visualMap = {};
+        const colliderMap = {};
+        const meshMap = {};
+        const materialMap = {};
+        const mimicMap = {};
+        const defaults = {};
+        const compiler = {
+            degrees: true,
+            eulerseq: 'xyz',
+            meshdir: '',
+            autolimits: true,
+        };
+
+        // Resolves asset files relative to the compiler directories
+        function resolvePath(path, dir = '') {
+
+            if (/^package:\/\//.test(path)) return resolvePackagePath(path, packages, workingPath);
+            if (/^(\/|[a-z]+:)/i.test(path)) return path;
+
+            if (dir && !/\/$/.test(dir)) dir += '/';
+            return resolvePackagePath(dir + path, packages, workingPath);
+
+        }
+
+        // Returns the value of an attribute falling back to the <default> class chain
+        function getAttr(el, name, className = null) {
+
+            if (el.hasAttribute(name)) return el.getAttribute(name);
+
+            let cls = el.getAttribute('class') || className || 'main';
+            const tag = el.nodeName.toLowerCase();
+            while (cls) {
+
+                const def = defaults[cls];
+                if (!def) break;
+                if (def.elements[tag] && name in def.elements[tag]) return def.elements[tag][name];
+                cls = def.parent;
+
+            }
+
+            return null;
+
+        }
+
+        function toRadians(value) {
+
+            return compiler.degrees ? value * THREE.MathUtils.DEG2RAD : value;
+
+        }
+
+        // Process all the orientation specifiers supported by MJCF into a quaternion
+        function processOrientation(el, className) {
+
+            const quaternion = new THREE.Quaternion();
+            const quat = processNumbers(getAttr(el, 'quat', className));
+            const axisangle = processNumbers(getAttr(el, 'axisangle', className));
+            const euler = processNumbers(getAttr(el, 'euler', className));
+            const xyaxes = processNumbers(getAttr(el, 'xyaxes', className));
+            const zaxis = processNumbers(getAttr(el, 'zaxis', className));
+
+            if (quat) {
+
+                // MJCF quaternions are ordered "w x y z"
+                quaternion.set(quat[1], quat[2], quat[3], quat[0]).normalize();
+
+            } else if (axisangle) {
+
+                tempVector.set(axisangle[0], axisangle[1], axisangle[2]).normalize();
+                quaternion.setFromAxisAngle(tempVector, toRadians(axisangle[3]));
+
+            } else if (euler) {
+
+                // lower case sequences rotate with the frame, upper case ones about fixed axes
+                const axes = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+                compiler.eulerseq.split('').forEach((c, i) => {
+
+                    const q = new THREE.Quaternion().setFromAxisAngle(axes[c.toLowerCase()], toRadians(euler[i]));
+                    if (c === c.toLowerCase()) quaternion.multiply(q);
+                    else quaternion.premultiply(q);
+
+                });
+
+            } else if (xyaxes) {
+
+                const x = new THREE.Vector3(xyaxes[0], xyaxes[1], xyaxes[2]).normalize();
+                const y = new THREE.Vector3(xyaxes[3], xyaxes[4], xyaxes[5]);
+                y.addScaledVector(x, -y.dot(x)).normalize();
+                const z = new THREE.Vector3().crossVectors(x, y);
+                quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+
+            } else if (zaxis) {
+
+                tempVector.set(zaxis[0], zaxis[1], zaxis[2]).normalize();
+                quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), tempVector);
+
+            }
+
+            return quaternion;
+
+        }
+
+        function processPosition(el, className) {
+
+            const pos = processNumbers(getAttr(el, 'pos', className), [0, 0, 0]);
+            return new THREE.Vector3(pos[0], pos[1], pos[2]);
+
+        }
+
+        // Process the <default> tree into class -> element attribute maps
+        function processDefaults(node, parent) {
+
+            const name = node.getAttribute('class') || (parent ? null : 'main');
+            if (!name) {
+
+                console.warn('MJCFLoader: Nested <default> without a class attribute will be skipped.');
+                return;
+
+            }
+
+            const def = { parent, elements: {} };
+            [ ...node.children ].forEach(c => {
+
+                const tag = c.nodeName.toLowerCase();
+                if (tag === 'default') return;
+
+                const attrs = {};
+                [ ...c.attributes ].forEach(a => attrs[a.name] = a.value);
+                def.elements[tag] = attrs;
+
+            });
+
+            defaults[name] = def;
+            childElements(node, 'default').forEach(d => processDefaults(d, name));
+
+        }
+
+        // Process the <asset> meshes and materials
+        function processAssets(node) {
+
+            childElements(node, 'mesh').forEach(m => {
+
+                const file = getAttr(m, 'file');
+                if (!file) {
+
+                    console.warn('MJCFLoader: Meshes without a "file" attribute are not supported.');
+                    return;
+
+                }
+
+                const name = m.getAttribute('name') || file.split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+                meshMap[name] = {
+                    path: resolvePath(file, compiler.meshdir),
+                    scale: processNumbers(getAttr(m, 'scale'), [1, 1, 1]),
+                };
+
+            });
+
+            childElements(node, 'material').forEach(m => {
+
+                materialMap[m.getAttribute('name')] = processNumbers(getAttr(m, 'rgba'), [1, 1, 1, 1]);
+
+            });
+
+        }
+
+        // Process joint equality constraints into mimic relations
+        function processEquality(node) {
+
+            childElements(node, 'joint').forEach(e => {
+
+                const joint1 = e.getAttribute('joint1');
+                const joint2 = e.getAttribute('joint2');
+                if (!joint2) return;
+
+                // joint1 = polycoef[0] + polycoef[1] * joint2, higher order terms are ignored
+                const coef = processNumbers(getAttr(e, 'polycoef'), [0, 1, 0, 0, 0]);
+                mimicMap[joint1] = { joint: joint2, offset: coef[0], multiplier: coef[1] };
+
+            });
+
+        }
+
+        function processInertial(node) {
+
+            const position = processPosition(node);
+            const quaternion = processOrientation(node);
+            const inertia = new THREE.Matrix3().multiplyScalar(0);
+
+            const diag = processNumbers(node.getAttribute('diaginertia'));
+            const full = processNumbers(node.getAttribute('fullinertia'));
+            if (full) {
+
+                inertia.set(
+                    full[0], full[3], full[4],
+                    full[3], full[1], full[5],
+                    full[4], full[5], full[2],
+                );
+
+            } else if (diag) {
+
+                inertia.set(
+                    diag[0], 0, 0,
+                    0, diag[1], 0,
+                    0, 0, diag[2],
+                );
+
+            }
+
+            return { mass: parseFloat(node.getAttribute('mass') || 0), position, quaternion, inertia };
+
+        }
+
+        function createJoint(el, name, type, className) {
+
+            let obj;
+            if (name in mimicMap) {
+
+                obj = new URDFMimicJoint();
+                obj.mimicJoint = mimicMap[name].joint;
+                obj.multiplier = mimicMap[name].multiplier;
+                obj.offset = mimicMap[name].offset;
+
+            } else {
+
+                obj = new URDFJoint();
+
+            }
+
+            obj.urdfNode = el;
+            obj.name = name;
+            obj.urdfName = name;
+
+            if (type === 'fixed') {
+
+                obj.jointType = 'fixed';
+                return obj;
+
+            }
+
+            const axis = processNumbers(getAttr(el, 'axis', className), [0, 0, 1]);
+            obj.axis = new THREE.Vector3(axis[0], axis[1], axis[2]).normalize();
+
+            const range = processNumbers(getAttr(el, 'range', className));
+            const limitedAttr = getAttr(el, 'limited', className) || 'auto';
+            const limited = limitedAttr === 'true' || (limitedAttr === 'auto' && compiler.autolimits && !!range);
+
+            if (type === 'hinge') {
+
+                obj.jointType = limited ? 'revolute' : 'continuous';
+
+            } else if (type === 'slide') {
+
+                obj.jointType = 'prismatic';
+
+            } else if (type === 'ball') {
+
+                obj.jointType = 'ball';
+
+            } else if (type === 'free') {
+
+                obj.jointType = 'floating';
+
+            }
+
+            if (range && limited && (type === 'hinge' || type === 'slide')) {
+
+                const scale = type === 'hinge' ? toRadians(1) : 1;
+                obj.limit.lower = range[0] * scale;
+                obj.limit.upper = range[1] * scale;
+
+            }
+
+            const forceRange = processNumbers(getAttr(el, 'actuatorfrcrange', className));
+            if (forceRange) obj.limit.effort = Math.max(Math.abs(forceRange[0]), Math.abs(forceRange[1]));
+
+            obj.dynamics.damping = parseFloat(getAttr(el, 'damping', className) || 0);
+            obj.dynamics.friction = parseFloat(getAttr(el, 'frictionloss', className) || 0);
+
+            return obj;
+
+        }
+
+        // Process a <body> and its children, attaching it to the given parent link
+        function processBody(body, parent, parentClass, index) {
+
+            const className = body.getAttribute('childclass') || parentClass;
+            const name = body.getAttribute('name') || `body_${ index.count++ }`;
+
+            const position = processPosition(body);
+            const quaternion = processOrientation(body);
+
+            const jointNodes = [ ...body.children ].filter(c => {
+
+                const tag = c.nodeName.toLowerCase();
+                return tag === 'joint' || tag === 'freejoint';
+
+            });
+
+            let current = parent;
+            let prevPos = new THREE.Vector3();
+            jointNodes.forEach((jn, i) => {
+
+                const isFree = jn.nodeName.toLowerCase() === 'freejoint';
+                const jointName = jn.getAttribute('name') || `${ name }_joint_${ i }`;
+                const type = isFree ? 'free' : (getAttr(jn, 'type', className) || 'hinge');
+                const joint = createJoint(jn, jointName, type, className);
+                const pos = isFree ? new THREE.Vector3() : processPosition(jn, className);
+
+                // every joint is expressed in the body frame and offset by its own position
+                if (i === 0) {
+
+                    joint.position.copy(pos).applyQuaternion(quaternion).add(position);
+                    joint.quaternion.copy(quaternion);
+
+                } else {
+
+                    joint.position.subVectors(pos, prevPos);
+
+                }
+
+                current.add(joint);
+                jointMap[jointName] = joint;
+                prevPos = pos;
+
+                if (i !== jointNodes.length - 1) {
+
+                    const link = new URDFLink();
+                    link.name = `${ name }_${ jointName }`;
+                    link.urdfName = link.name;
+                    joint.add(link);
+                    linkMap[link.name] = link;
+                    current = link;
+
+                } else {
+
+                    current = joint;
+
+                }
+
+            });
+
+            if (jointNodes.length === 0) {
+
+                const joint = createJoint(body, `${ name }_fixed`, 'fixed', className);
+                joint.position.copy(position);
+                joint.quaternion.copy(quaternion);
+                current.add(joint);
+                jointMap[joint.name] = joint;
+                current = joint;
+
+            }
+
+            const link = new URDFLink();
+            link.position.copy(prevPos).negate();
+            current.add(link);
+            processLink(body, link, name, className);
+
+            childElements(body, 'body').forEach(b => processBody(b, link, className, index));
+
+        }
+
+        function processLink(body, target, name, className) {
+
+            target.name = name;
+            target.urdfName = name;
+            target.urdfNode = body;
+            linkMap[name] = target;
+
+            const inertialNode = childElements(body, 'inertial')[0];
+            if (inertialNode) {
+
+                target.inertial = processInertial(inertialNode);
+
+            }
+
+            childElements(body, 'geom').forEach((g, i) => {
+
+                const geomClass = g.getAttribute('class') || className;
+                const group = parseInt(getAttr(g, 'group', geomClass) || 0);
+                const contype = getAttr(g, 'contype', geomClass) || '1';
+                const conaffinity = getAttr(g, 'conaffinity', geomClass) || '1';
+                const geomName = g.getAttribute('name');
+
+                // by convention group 3 holds collision only geometry while geoms that do not
+                // take part in contacts are purely visual
+                const isVisual = group !== 3;
+                const isCollision = contype !== '0' || conaffinity !== '0';
+
+                if (parseVisual && isVisual) {
+
+                    const v = processGeom(g, new URDFVisual(), geomClass);
+                    if (v) {
+
+                        target.add(v);
+                        if (geomName) {
+
+                            v.name = geomName;
+                            v.urdfName = geomName;
+                            visualMap[geomName] = v;
+
+                        }
+
+                    }
+
+                }
+
+                if (parseCollision && isCollision) {
+
+                    const c = processGeom(g, new URDFCollider(), geomClass);
+                    if (c) {
+
+                        target.add(c);
+                        if (geomName) {
+
+                            c.name = geomName;
+                            c.urdfName = geomName;
+                            colliderMap[geomName] = c;
+
+                        }
+
+                    }
+
+                }
+
+            });
+
+        }
+
+        function createMaterial(geom, className) {
+
+            const material = new THREE.MeshPhongMaterial();
+            const materialName = getAttr(geom, 'material', className);
+            const rgba =
+                processNumbers(geom.getAttribute('rgba')) ||
+                (materialName && materialMap[materialName]) ||
+                processNumbers(getAttr(geom, 'rgba', className), [0.5, 0.5, 0.5, 1]);
+
+            material.color.setRGB(rgba[0], rgba[1], rgba[2]);
+            material.opacity = rgba[3];
+            material.transparent = rgba[3] < 1;
+            material.depthWrite = !material.transparent;
+            return material;
+
+        }
+
+        // Process a <geom> into a visual or collider group
+        function processGeom(geom, group, className) {
+
+            const type = getAttr(geom, 'type', className) || 'sphere';
+            const size = processNumbers(getAttr(geom, 'size', className), [0, 0, 0]);
+            const fromto = processNumbers(getAttr(geom, 'fromto', className));
+            const material = createMaterial(geom, className);
+            group.urdfNode = geom;
+
+            // geoms that are invisible by default in MuJoCo
+            const rgba = processNumbers(getAttr(geom, 'rgba', className));
+            if (group.isURDFVisual && rgba && rgba[3] === 0) return null;
+
+            let halfLength = size[1];
+            if (fromto) {
+
+                // "fromto" places the geom between the two points with its z axis along the segment
+                const from = new THREE.Vector3(fromto[0], fromto[1], fromto[2]);
+                const to = new THREE.Vector3(fromto[3], fromto[4], fromto[5]);
+                const dir = to.clone().sub(from);
+                halfLength = dir.length() / 2;
+                group.position.addVectors(from, to).multiplyScalar(0.5);
+                group.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), dir.normalize());
+
+            } else {
+
+                group.position.copy(processPosition(geom, className));
+                group.quaternion.copy(processOrientation(geom, className));
+
+            }
+
+            let primitiveModel = null;
+            switch (type) {
+
+                case 'mesh': {
+
+                    const mesh = meshMap[getAttr(geom, 'mesh', className)];
+                    if (!mesh || mesh.path === null) {
+
+                        console.warn(`MJCFLoader: Could not find mesh asset "${ getAttr(geom, 'mesh', className) }".`);
+                        return null;
+
+                    }
+
+                    group.scale.set(mesh.scale[0], mesh.scale[1], mesh.scale[2]);
+                    group.meshPath = mesh.path;
+                    loadMeshCb(mesh.path, manager, (obj, err) => {
+
+                        if (err) {
+
+                            console.error('MJCFLoader: Error loading mesh.', err);
+
+                        } else if (obj) {
+
+                            if (obj instanceof THREE.Mesh) {
+
+                                obj.material = material;
+
+                            }
+
+                            obj.position.set(0, 0, 0);
+                            obj.quaternion.identity();
+                            group.add(obj);
+
+                        }
+
+                    });
+                    break;
+
+                }
+
+                case 'box':
+                    primitiveModel = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), material);
+                    if (fromto) primitiveModel.scale.set(size[0], size[0], halfLength);
+                    else primitiveModel.scale.set(size[0], size[1], size[2]);
+                    break;
+
+                case 'sphere':
+                    primitiveModel = new THREE.Mesh(new THREE.SphereGeometry(1, 30, 30), material);
+                    primitiveModel.scale.setScalar(size[0]);
+                    break;
+
+                case 'ellipsoid':
+                    primitiveModel = new THREE.Mesh(new THREE.SphereGeometry(1, 30, 30), material);
+                    primitiveModel.scale.set(size[0], size[1], size[2]);
+                    break;
+
+                case 'cylinder':
+                    primitiveModel = new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 2, 30), material);
+                    primitiveModel.scale.set(size[0], halfLength, size[0]);
+                    primitiveModel.rotation.set(Math.PI / 2, 0, 0);
+                    break;
+
+                case 'capsule':
+                    primitiveModel = new THREE.Mesh(new THREE.CapsuleGeometry(size[0], 2 * halfLength, 8, 30), material);
+                    primitiveModel.rotation.set(Math.PI / 2, 0, 0);
+                    break;
+
+                case 'plane':
+                    // infinite planes are usually floors which the viewer already provides
+                    return null;
+
+                default:
+                    console.warn(`MJCFLoader: Geom type "${ type }" is not supported.`);
+                    return null;
+
+            }
+
+            if (primitiveModel) group.add(primitiveModel);
+            return group;
+
+        }
+
+        /* Process the document */
+        const compilerNode = root.querySelector('compiler');
+        if (compilerNode) {
+
+            compiler.degrees = (compilerNode.getAttribute('angle') || 'degree') !== 'radian';
+            compiler.eulerseq = compilerNode.getAttribute('eulerseq') || compiler.eulerseq;
+            compiler.meshdir = compilerNode.getAttribute('meshdir') || compilerNode.getAttribute('assetdir') || '';
+            compiler.autolimits = compilerNode.getAttribute('autolimits') !== 'false';
+
+        }
+
+        // includes are only resolved when loading through "load" or "expandIncludes"
+        const report = new URDFValidationReport();
+        [ ...root.getElementsByTagName('include') ].forEach(n => {
+
+            report.error('unresolved-include', `<include file="${ n.getAttribute('file') }"> was not expanded and has been skipped.`, n);
+
+        });
+
+        childElements(root, 'default').forEach(d => processDefaults(d, null));
+        childElements(root, 'asset').forEach(processAssets);
+        childElements(root, 'equality').forEach(processEquality);
+
+        const obj = new URDFRobot();
+        obj.robotName = root.getAttribute('model') || 'mujoco';
+        obj.urdfRobotNode = root;
+        obj.validation = report;
+
+        const worldbody = childElements(root, 'worldbody')[0];
+        const bodies = worldbody ? childElements(worldbody, 'body') : [];
+        const index = { count: 0 };
+
+        // A single fixed base body becomes the robot root itself, otherwise the worldbody is the root
+        const isFixedBody = b => childElements(b, 'joint').length === 0 && childElements(b, 'freejoint').length === 0;
+        const baseBody = bodies.length === 1 && isFixedBody(bodies[0]) ? bodies[0] : null;
+        if (baseBody) {
+
+            const className = baseBody.getAttribute('childclass') || 'main';
+            obj.position.copy(processPosition(baseBody));
+            obj.quaternion.copy(processOrientation(baseBody));
+            processLink(baseBody, obj, baseBody.getAttribute('name') || 'base', className);
+            childElements(baseBody, 'body').forEach(b => processBody(b, obj, className, index));
+
+        } else {
+
+            processLink(worldbody || root, obj, 'world', 'main');
+            bodies.forEach(b => processBody(b, obj, 'main', index));
+
+        }
+
+        obj.joints = jointMap;
+        obj.links = linkMap;
+        obj.colliders = colliderMap;
+        obj.visual = visualMap;
+
+        // Link up mimic joints
+        Object.values(jointMap).forEach(j => {
+
+            if (j instanceof URDFMimicJoint) {
+
+                if (!(j.mimicJoint in jointMap)) {
+
+                    throw new Error(`MJCFLoader: Joint equality "${ j.name }" references unknown joint "${ j.mimicJoint }".`);
+
+                }
+
+                jointMap[j.mimicJoint].mimicJoints.push(j);
+
+            }
+
+        });
+
+        obj.frames = {
+            ...colliderMap,
+            ...visualMap,
+            ...linkMap,
+            ...jointMap,
+        };
+
+        return obj;
+
+    }
+
+};
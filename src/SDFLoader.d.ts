@@ -0,0 +1,10 @@
+import { LoadingManager } from 'three';
+import URDFLoader from './URDFLoader';
+import { URDFRobot } from './URDFClasses';
+
+export default class SDFLoader extends URDFLoader {
+
+    constructor(manager?: LoadingManager);
+    parse(content: string | Element | Document, workingPath?: string): URDFRobot;
+
+}
@@ -0,0 +1,633 @@
+import * as THREE from 'three';
+import URDFLoader, { resolvePackagePath } from './URDFLoader.js';
+import { URDFRobot, URDFJoint, URDFLink, URDFCollider, URDFVisual, URDFMimicJoint } from './URDFClasses.js';
+
+/*
+SDFormat stores link poses in the model frame and joint poses in the child
+link frame by default, while URDF nests every frame under its parent. Poses
+are resolved to the model frame first and then re-expressed relative to the
+parent in the URDF style hierarchy:
+
+    joint.matrix = inverse(parentLink) * jointInModel
+    link.matrix  = inverse(jointInModel) * linkInModel
+
+*/
+
+const MODEL_FRAME = '__model__';
+const tempEuler = new THREE.Euler();
+const tempScale = new THREE.Vector3(1, 1, 1);
+
+// take a string "a b c ..." and process it into an array of numbers
+function processNumbers(val, fallback = [0, 0, 0]) {
+
+    if (!val || !val.trim()) return fallback;
+    return val.trim().split(/\s+/g).map(num => parseFloat(num));
+
+}
+
+// converts an SDF "x y z roll pitch yaw" pose into a matrix
+function poseToMatrix(text, target = new THREE.Matrix4()) {
+
+    const [x = 0, y = 0, z = 0, roll = 0, pitch = 0, yaw = 0] = processNumbers(text, []);
+    const quaternion = new THREE.Quaternion().setFromEuler(tempEuler.set(roll, pitch, yaw, 'ZYX'));
+    return target.compose(new THREE.Vector3(x, y, z), quaternion, tempScale);
+
+}
+
+function applyMatrix(obj, matrix) {
+
+    matrix.decompose(obj.position, obj.quaternion, new THREE.Vector3());
+
+}
+
+function childElements(node, name) {
+
+    return [ ...node.children ].filter(c => c.nodeName.toLowerCase() === name);
+
+}
+
+function childElement(node, name) {
+
+    return childElements(node, name)[0] || null;
+
+}
+
+function childText(node, name, fallback = null) {
+
+    const el = node && childElement(node, name);
+    return el ? el.textContent.trim() : fallback;
+
+}
+
+function childNumber(node, name, fallback) {
+
+    const text = childText(node, name);
+    return text === null || text === '' ? fallback : parseFloat(text);
+
+}
+
+/* SDFLoader Class */
+// Loads and reads an SDFormat <model> into the same THREEjs Object3D classes as the URDFLoader
+export default
+class SDFLoader extends URDFLoader {
+
+    constructor(manager) {
+
+        super(manager);
+        this.parseXacro = false;
+
+    }
+
+    parse(content, workingPath = this.workingPath) {
+
+        const packages = this.packages;
+        const loadMeshCb = this.loadMeshCb;
+        const parseVisual = this.parseVisual;
+        const parseCollision = this.parseCollision;
+        const manager = this.manager;
+        const linkMap = {};
+        const jointMap = {};
+        const visualMap = {};
+        const colliderMap = {};
+
+        // Resolves the path of mesh files, "model://" URIs are treated like ROS packages
+        function resolvePath(path) {
+
+            path = path.trim();
+            if (/^file:\/\//.test(path)) return path.replace(/^file:\/\//, '');
+            if (/^https?:\/\//.test(path)) return path;
+            return resolvePackagePath(path.replace(/^model:\/\//, 'package://'), packages, workingPath);
+
+        }
+
+        // Process the SDF text format
+        function processSdf(data) {
+
+            let root;
+            if (data instanceof Document) {
+
+                root = data.documentElement;
+
+            } else if (data instanceof Element) {
+
+                root = data;
+
+            } else {
+
+                const parser = new DOMParser();
+                root = parser.parseFromString(data, 'text/xml').documentElement;
+
+            }
+
+            let modelNode = root;
+            if (root.nodeName.toLowerCase() !== 'model') {
+
+                modelNode = childElement(root, 'model') || root.querySelector('world > model');
+
+            }
+
+            if (!modelNode) {
+
+                throw new Error('SDFLoader: No <model> element found.');
+
+            }
+
+            const version = parseFloat(root.getAttribute('version') || '1.7');
+            return processModel(modelNode, version);
+
+        }
+
+        // Process the <model> node
+        function processModel(model, version) {
+
+            const links = childElements(model, 'link');
+            const joints = childElements(model, 'joint');
+            const frames = childElements(model, 'frame');
+            const obj = new URDFRobot();
+
+            obj.robotName = model.getAttribute('name');
+            obj.urdfRobotNode = model;
+
+            childElements(model, 'model').concat(childElements(model, 'include')).forEach(n => {
+
+                console.warn(`SDFLoader: Nested <${ n.nodeName }> elements are not supported and will be skipped.`);
+
+            });
+
+            // Collect all named frames so poses can be resolved through "relative_to"
+            const frameNodes = {};
+            links.forEach(n => frameNodes[n.getAttribute('name')] = { type: 'link', node: n });
+            joints.forEach(n => frameNodes[n.getAttribute('name')] = { type: 'joint', node: n });
+            frames.forEach(n => frameNodes[n.getAttribute('name')] = { type: 'frame', node: n });
+
+            const modelPoses = {};
+            const resolving = new Set();
+            function getModelPose(name) {
+
+                if (name === MODEL_FRAME || name === 'world' || !name) return new THREE.Matrix4();
+                if (name in modelPoses) return modelPoses[name];
+                if (!(name in frameNodes)) {
+
+                    throw new Error(`SDFLoader: Unknown frame "${ name }".`);
+
+                }
+
+                if (resolving.has(name)) {
+
+                    throw new Error(`SDFLoader: Detected a cycle while resolving the pose of frame "${ name }".`);
+
+                }
+
+                resolving.add(name);
+
+                const { type, node } = frameNodes[name];
+                const poseNode = childElement(node, 'pose');
+                let relativeTo = poseNode && poseNode.getAttribute('relative_to');
+                if (!relativeTo) {
+
+                    if (type === 'joint') relativeTo = childText(node, 'child');
+                    else if (type === 'frame') relativeTo = node.getAttribute('attached_to') || MODEL_FRAME;
+                    else relativeTo = MODEL_FRAME;
+
+                }
+
+                const pose = poseToMatrix(poseNode ? poseNode.textContent : '');
+                modelPoses[name] = getModelPose(relativeTo).clone().multiply(pose);
+                resolving.delete(name);
+                return modelPoses[name];
+
+            }
+
+            // Create the <link> map
+            const childLinks = new Set(
+                joints
+                    .filter(j => childText(j, 'parent') !== 'world')
+                    .map(j => childText(j, 'child')),
+            );
+            const rootLinks = links.filter(l => !childLinks.has(l.getAttribute('name')));
+            if (rootLinks.length > 1) {
+
+                console.warn('SDFLoader: Multiple root links found, attaching the extra links to the first one with fixed joints.');
+
+            }
+
+            links.forEach(l => {
+
+                const name = l.getAttribute('name');
+                linkMap[name] = processLink(l, rootLinks[0] === l ? obj : null);
+
+            });
+
+            // Create the <joint> map
+            joints.forEach(j => {
+
+                const name = j.getAttribute('name');
+                const joint = processJoint(j, getModelPose, version);
+                if (joint) jointMap[name] = joint;
+
+            });
+
+            // Extra root links are fixed in place relative to the first root
+            const rootPose = rootLinks.length ? getModelPose(rootLinks[0].getAttribute('name')) : new THREE.Matrix4();
+            rootLinks.slice(1).forEach(l => {
+
+                const name = l.getAttribute('name');
+                const joint = new URDFJoint();
+                joint.name = `${ name }_fixed`;
+                joint.urdfName = joint.name;
+                applyMatrix(joint, rootPose.clone().invert().multiply(getModelPose(name)));
+                obj.add(joint);
+                joint.add(linkMap[name]);
+                jointMap[joint.name] = joint;
+
+            });
+
+            // The robot itself is the root link so place it at its pose in the model frame
+            const modelPose = poseToMatrix(childText(model, 'pose', ''));
+            applyMatrix(obj, modelPose.multiply(rootPose));
+
+            obj.joints = jointMap;
+            obj.links = linkMap;
+            obj.colliders = colliderMap;
+            obj.visual = visualMap;
+
+            // Link up mimic joints
+            Object.values(jointMap).forEach(j => {
+
+                if (j instanceof URDFMimicJoint) {
+
+                    if (!(j.mimicJoint in jointMap)) {
+
+                        throw new Error(`SDFLoader: Mimic joint "${ j.name }" references unknown joint "${ j.mimicJoint }".`);
+
+                    }
+
+                    jointMap[j.mimicJoint].mimicJoints.push(j);
+
+                }
+
+            });
+
+            obj.frames = {
+                ...colliderMap,
+                ...visualMap,
+                ...linkMap,
+                ...jointMap,
+            };
+
+            return obj;
+
+        }
+
+        // Process joint nodes and parent them
+        function processJoint(joint, getModelPose, version) {
+
+            const name = joint.getAttribute('name');
+            const parentName = childText(joint, 'parent');
+            const childName = childText(joint, 'child');
+            const axisNode = childElement(joint, 'axis');
+            const limitNode = axisNode && childElement(axisNode, 'limit');
+            const mimicNode = axisNode && childElement(axisNode, 'mimic');
+
+            let jointType = joint.getAttribute('type');
+            if (!['revolute', 'continuous', 'prismatic', 'fixed', 'ball'].includes(jointType)) {
+
+                console.warn(`SDFLoader: Joint type "${ jointType }" of joint "${ name }" is not supported and will be treated as fixed.`);
+                jointType = 'fixed';
+
+            }
+
+            // SDF revolute joints without meaningful limits rotate freely
+            const lower = childNumber(limitNode, 'lower', -1e16);
+            const upper = childNumber(limitNode, 'upper', 1e16);
+            if (jointType === 'revolute' && (lower <= -1e15 || upper >= 1e15)) {
+
+                jointType = 'continuous';
+
+            }
+
+            if (parentName === 'world' || !(childName in linkMap)) {
+
+                if (parentName !== 'world') console.warn(`SDFLoader: Joint "${ name }" references unknown child link "${ childName }".`);
+                return null;
+
+            }
+
+            let obj;
+            if (mimicNode) {
+
+                obj = new URDFMimicJoint();
+                obj.mimicJoint = mimicNode.getAttribute('joint');
+                obj.multiplier = parseFloat(mimicNode.getAttribute('multiplier') || childText(mimicNode, 'multiplier') || 1.0);
+                obj.offset = parseFloat(mimicNode.getAttribute('offset') || childText(mimicNode, 'offset') || 0.0);
+
+            } else {
+
+                obj = new URDFJoint();
+
+            }
+
+            obj.urdfNode = joint;
+            obj.name = name;
+            obj.urdfName = name;
+            obj.jointType = jointType;
+
+            if (limitNode) {
+
+                obj.limit.lower = lower;
+                obj.limit.upper = upper;
+                obj.limit.effort = Math.max(childNumber(limitNode, 'effort', 0), 0);
+                obj.limit.velocity = Math.max(childNumber(limitNode, 'velocity', 0), 0);
+
+            }
+
+            const dynamicsNode = axisNode && childElement(axisNode, 'dynamics');
+            if (dynamicsNode) {
+
+                obj.dynamics.damping = childNumber(dynamicsNode, 'damping', 0);
+                obj.dynamics.friction = childNumber(dynamicsNode, 'friction', 0);
+
+            }
+
+            // Join the links
+            const parent = parentName in linkMap ? linkMap[parentName] : null;
+            if (!parent) {
+
+                throw new Error(`SDFLoader: Joint "${ name }" references unknown parent link "${ parentName }".`);
+
+            }
+
+            const jointPose = getModelPose(name);
+            const parentPose = getModelPose(parentName);
+            const childPose = getModelPose(childName);
+
+            parent.add(obj);
+            obj.add(linkMap[childName]);
+            applyMatrix(obj, parentPose.clone().invert().multiply(jointPose));
+            applyMatrix(linkMap[childName], jointPose.clone().invert().multiply(childPose));
+
+            // Set up the rotate function, expressing the axis in the joint frame
+            if (axisNode) {
+
+                const xyzNode = childElement(axisNode, 'xyz');
+                const axis = new THREE.Vector3(...processNumbers(xyzNode && xyzNode.textContent, [0, 0, 1]));
+
+                let expressedIn = xyzNode && xyzNode.getAttribute('expressed_in');
+                if (!expressedIn && (version < 1.5 || childText(axisNode, 'use_parent_model_frame') === 'true')) {
+
+                    expressedIn = MODEL_FRAME;
+
+                }
+
+                if (expressedIn) {
+
+                    const rotation = new THREE.Matrix4()
+                        .extractRotation(jointPose)
+                        .invert()
+                        .multiply(new THREE.Matrix4().extractRotation(getModelPose(expressedIn)));
+                    axis.transformDirection(rotation);
+
+                }
+
+                obj.axis = axis.normalize();
+
+            }
+
+            return obj;
+
+        }
+
+        // Process the <link> nodes
+        function processLink(link, target = null) {
+
+            if (target === null) {
+
+                target = new URDFLink();
+
+            }
+
+            target.name = link.getAttribute('name');
+            target.urdfName = target.name;
+            target.urdfNode = link;
+
+            const inertialNode = childElement(link, 'inertial');
+            if (inertialNode) {
+
+                target.inertial = processInertial(inertialNode);
+
+            }
+
+            if (parseVisual) {
+
+                childElements(link, 'visual').forEach(vn => {
+
+                    const v = processLinkElement(vn);
+                    target.add(v);
+
+                    const name = vn.getAttribute('name');
+                    if (name) {
+
+                        v.name = name;
+                        v.urdfName = name;
+                        visualMap[name] = v;
+
+                    }
+
+                });
+
+            }
+
+            if (parseCollision) {
+
+                childElements(link, 'collision').forEach(cn => {
+
+                    const c = processLinkElement(cn);
+                    target.add(c);
+
+                    const name = cn.getAttribute('name');
+                    if (name) {
+
+                        c.name = name;
+                        c.urdfName = name;
+                        colliderMap[name] = c;
+
+                    }
+
+                });
+
+            }
+
+            return target;
+
+        }
+
+        // Process the <inertial> node into mass, center of mass frame and inertia tensor
+        function processInertial(node) {
+
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            poseToMatrix(childText(node, 'pose', '')).decompose(position, quaternion, new THREE.Vector3());
+
+            const inertiaNode = childElement(node, 'inertia');
+            const get = name => childNumber(inertiaNode, name, 0);
+            const inertia = new THREE.Matrix3().multiplyScalar(0);
+            if (inertiaNode) {
+
+                inertia.set(
+                    get('ixx'), get('ixy'), get('ixz'),
+                    get('ixy'), get('iyy'), get('iyz'),
+                    get('ixz'), get('iyz'), get('izz'),
+                );
+
+            }
+
+            return { mass: childNumber(node, 'mass', 1), position, quaternion, inertia };
+
+        }
+
+        function processMaterial(node) {
+
+            const material = new THREE.MeshPhongMaterial();
+            if (!node) return material;
+
+            const color = processNumbers(childText(node, 'diffuse') || childText(node, 'ambient'), null);
+            if (color) {
+
+                const alpha = color.length > 3 ? color[3] : 1;
+                material.color.setRGB(color[0], color[1], color[2]);
+                material.opacity = alpha;
+                material.transparent = alpha < 1;
+                material.depthWrite = !material.transparent;
+
+            }
+
+            const albedo = node.querySelector('pbr albedo_map');
+            if (albedo && albedo.textContent.trim()) {
+
+                const loader = new THREE.TextureLoader(manager);
+                material.map = loader.load(resolvePath(albedo.textContent));
+                material.map.colorSpace = THREE.SRGBColorSpace;
+
+            }
+
+            return material;
+
+        }
+
+        // Process the visual and collision nodes into meshes
+        function processLinkElement(vn) {
+
+            const isCollisionNode = vn.nodeName.toLowerCase() === 'collision';
+            const material = processMaterial(childElement(vn, 'material'));
+            const group = isCollisionNode ? new URDFCollider() : new URDFVisual();
+            group.urdfNode = vn;
+
+            const poseNode = childElement(vn, 'pose');
+            if (poseNode) {
+
+                const relativeTo = poseNode.getAttribute('relative_to');
+                if (relativeTo) {
+
+                    console.warn(`SDFLoader: "relative_to" on <${ vn.nodeName }> is not supported, using the link frame.`);
+
+                }
+
+                applyMatrix(group, poseToMatrix(poseNode.textContent));
+
+            }
+
+            const geometryNode = childElement(vn, 'geometry');
+            const shape = geometryNode && [ ...geometryNode.children ][0];
+            if (!shape) return group;
+
+            const geoType = shape.nodeName.toLowerCase();
+            if (geoType === 'mesh') {
+
+                const uri = childText(shape, 'uri');
+                const filePath = uri ? resolvePath(uri) : null;
+
+                // file path is null if a package directory is not provided.
+                if (filePath !== null) {
+
+                    const scale = processNumbers(childText(shape, 'scale'), [1, 1, 1]);
+                    group.scale.set(scale[0], scale[1], scale[2]);
+
+                    group.meshPath = filePath;
+                    loadMeshCb(filePath, manager, (obj, err) => {
+
+                        if (err) {
+
+                            console.error('SDFLoader: Error loading mesh.', err);
+
+                        } else if (obj) {
+
+                            if (obj instanceof THREE.Mesh) {
+
+                                obj.material = material;
+
+                            }
+
+                            obj.position.set(0, 0, 0);
+                            obj.quaternion.identity();
+                            group.add(obj);
+
+                        }
+
+                    });
+
+                }
+
+            } else if (geoType === 'box') {
+
+                const size = processNumbers(childText(shape, 'size'), [1, 1, 1]);
+                const primitiveModel = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+                primitiveModel.scale.set(size[0], size[1], size[2]);
+                group.add(primitiveModel);
+
+            } else if (geoType === 'sphere') {
+
+                const radius = childNumber(shape, 'radius', 0);
+                const primitiveModel = new THREE.Mesh(new THREE.SphereGeometry(1, 30, 30), material);
+                primitiveModel.scale.set(radius, radius, radius);
+                group.add(primitiveModel);
+
+            } else if (geoType === 'cylinder') {
+
+                const radius = childNumber(shape, 'radius', 0);
+                const length = childNumber(shape, 'length', 0);
+                const primitiveModel = new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 1, 30), material);
+                primitiveModel.scale.set(radius, length, radius);
+                primitiveModel.rotation.set(Math.PI / 2, 0, 0);
+                group.add(primitiveModel);
+
+            } else if (geoType === 'capsule') {
+
+                const radius = childNumber(shape, 'radius', 0);
+                const length = childNumber(shape, 'length', 0);
+                const primitiveModel = new THREE.Mesh(new THREE.CapsuleGeometry(radius, length, 8, 30), material);
+                primitiveModel.rotation.set(Math.PI / 2, 0, 0);
+                group.add(primitiveModel);
+
+            } else if (geoType === 'plane') {
+
+                const size = processNumbers(childText(shape, 'size'), [1, 1]);
+                const normal = new THREE.Vector3(...processNumbers(childText(shape, 'normal'), [0, 0, 1])).normalize();
+                const primitiveModel = new THREE.Mesh(new THREE.PlaneGeometry(size[0], size[1]), material);
+                primitiveModel.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+                group.add(primitiveModel);
+
+            } else {
+
+                console.warn(`SDFLoader: Geometry type "${ geoType }" is not supported.`);
+
+            }
+
+            return group;
+
+        }
+
+        return processSdf(content);
+
+    }
+
+};
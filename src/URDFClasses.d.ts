@@ -1,4 +1,5 @@
-import { Object3D, Vector3 } from 'three';
+import { Object3D, Vector3, Quaternion, Matrix3, Matrix4 } from 'three';
+import { URDFValidationReport } from './URDFValidator';
 
 declare class URDFBase extends Object3D {
 
@@ -10,18 +11,64 @@ declare class URDFBase extends Object3D {
 export class URDFCollider extends URDFBase {
 
     isURDFCollider: true;
+    meshPath: string | null;
 
 }
 
 export class URDFVisual extends URDFBase {
 
     isURDFVisual: true;
+    meshPath: string | null;
+
+}
+
+export interface URDFInertial {
+
+    mass: number;
+    position: Vector3;
+    quaternion: Quaternion;
+    inertia: Matrix3;
 
 }
 
 export class URDFLink extends URDFBase {
 
     isURDFLink: true;
+    inertial: URDFInertial | null;
+
+    getWorldCenterOfMass(target?: Vector3): Vector3 | null;
+
+}
+
+export interface URDFJointLimit {
+
+    lower: number;
+    upper: number;
+    effort: number;
+    velocity: number;
+
+}
+
+export interface URDFJointDynamics {
+
+    damping: number;
+    friction: number;
+
+}
+
+export interface URDFSafetyController {
+
+    softLowerLimit: number;
+    softUpperLimit: number;
+    kPosition: number;
+    kVelocity: number;
+
+}
+
+export interface URDFCalibration {
+
+    rising: number | null;
+    falling: number | null;
 
 }
 
@@ -31,14 +78,18 @@ export class URDFJoint extends URDFBase {
 
     urdfNode: Element | null;
     axis: Vector3;
-    jointType: 'fixed' | 'continuous' | 'revolute' | 'planar' | 'prismatic' | 'floating';
+    jointType: 'fixed' | 'continuous' | 'revolute' | 'planar' | 'prismatic' | 'floating' | 'ball';
     angle: number;
     jointValue: number[];
-    limit: { lower: number, upper: number }; // TODO: add more
+    limit: URDFJointLimit;
+    dynamics: URDFJointDynamics;
+    safetyController: URDFSafetyController | null;
+    calibration: URDFCalibration | null;
     ignoreLimits: boolean;
     mimicJoints: URDFMimicJoint[];
 
     setJointValue(...values: (number | null)[]): boolean;
+    getJointTransform(values?: (number | null)[], target?: Matrix4): Matrix4;
 
 }
 
@@ -56,6 +107,7 @@ export class URDFRobot extends URDFLink {
 
     urdfRobotNode: Element | null;
     robotName: string;
+    validation: URDFValidationReport | null;
 
     links: { [ key: string ]: URDFLink };
     joints: { [ key: string ]: URDFJoint };
@@ -66,5 +118,10 @@ export class URDFRobot extends URDFLink {
     setJointValue(jointName: string, ...values: number[]): boolean;
     setJointValues(values: { [ key: string ]: number | number[] }): boolean;
     getFrame(name: string): Object3D;
+    getTotalMass(): number;
+    getCenterOfMass(target?: Vector3): Vector3 | null;
+    computeFK(jointValues: { [ key: string ]: number | number[] }, frameName: string | Object3D, target?: Matrix4): Matrix4 | null;
+    computeFKBatch(jointValuesList: { [ key: string ]: number | number[] }[], frameNames: (string | Object3D)[]): (Matrix4 | null)[][];
+    getJacobian(frameName: string | Object3D, jointValues?: { [ key: string ]: number | number[] } | null): { jacobian: number[][], joints: string[] } | null;
 
 }
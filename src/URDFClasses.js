@@ -1,4 +1,4 @@
-import { Euler, Object3D, Vector3, Quaternion, Matrix4 } from 'three';
+import { Euler, Object3D, Vector3, Quaternion, Matrix3, Matrix4 } from 'three';
 
 const _tempAxis = new Vector3();
 const _tempEuler = new Euler();
@@ -7,6 +7,14 @@ const _tempOrigTransform = new Matrix4();
 const _tempQuat = new Quaternion();
 const _tempScale = new Vector3(1.0, 1.0, 1.0);
 const _tempPosition = new Vector3();
+const _tempCom = new Vector3();
+const _tempFKPosition = new Vector3();
+const _tempFKQuat = new Quaternion();
+const _tempTip = new Vector3();
+const _tempJointPosition = new Vector3();
+
+// Joint types with a single axis of motion that contribute a column to the jacobian
+const JACOBIAN_JOINT_TYPES = ['revolute', 'continuous', 'prismatic'];
 
 class URDFBase extends Object3D {
 
@@ -39,6 +47,19 @@ class URDFCollider extends URDFBase {
         this.isURDFCollider = true;
         this.type = 'URDFCollider';
 
+        // The resolved path of the loaded mesh file, if any
+        this.meshPath = null;
+
+    }
+
+    copy(source, recursive) {
+
+        super.copy(source, recursive);
+
+        this.meshPath = source.meshPath;
+
+        return this;
+
     }
 
 }
@@ -51,6 +72,19 @@ class URDFVisual extends URDFBase {
         this.isURDFVisual = true;
         this.type = 'URDFVisual';
 
+        // The resolved path of the loaded mesh file, if any
+        this.meshPath = null;
+
+    }
+
+    copy(source, recursive) {
+
+        super.copy(source, recursive);
+
+        this.meshPath = source.meshPath;
+
+        return this;
+
     }
 
 }
@@ -63,6 +97,38 @@ class URDFLink extends URDFBase {
         this.isURDFLink = true;
         this.type = 'URDFLink';
 
+        // Mass properties from the <inertial> tag. The position and quaternion
+        // describe the center of mass frame relative to the link frame and the
+        // inertia tensor is expressed in that frame.
+        this.inertial = null;
+
+    }
+
+    copy(source, recursive) {
+
+        super.copy(source, recursive);
+
+        this.inertial = source.inertial ? {
+            mass: source.inertial.mass,
+            position: source.inertial.position.clone(),
+            quaternion: source.inertial.quaternion.clone(),
+            inertia: source.inertial.inertia.clone(),
+        } : null;
+
+        return this;
+
+    }
+
+    /**
+     * @param {Vector3} target The vector to write the world space center of mass to
+     * @returns {Vector3|null} The world space center of mass of this link or null if it has no mass
+     */
+    getWorldCenterOfMass(target = new Vector3()) {
+
+        if (!this.inertial) return null;
+
+        return target.copy(this.inertial.position).applyMatrix4(this.matrixWorld);
+
     }
 
 }
@@ -102,6 +168,11 @@ class URDFJoint extends URDFBase {
                 this.jointValue = new Array(6).fill(0);
                 break;
 
+            case 'ball':
+                // Ball joints are 3dof rotations applied as roll, pitch and yaw.
+                this.jointValue = new Array(3).fill(0);
+                break;
+
         }
 
     }
@@ -122,7 +193,10 @@ class URDFJoint extends URDFBase {
         this.jointValue = null;
         this.jointType = 'fixed';
         this.axis = new Vector3(1, 0, 0);
-        this.limit = { lower: 0, upper: 0 };
+        this.limit = { lower: 0, upper: 0, effort: 0, velocity: 0 };
+        this.dynamics = { damping: 0, friction: 0 };
+        this.safetyController = null;
+        this.calibration = null;
         this.ignoreLimits = false;
 
         this.origPosition = null;
@@ -141,6 +215,12 @@ class URDFJoint extends URDFBase {
         this.axis = source.axis.clone();
         this.limit.lower = source.limit.lower;
         this.limit.upper = source.limit.upper;
+        this.limit.effort = source.limit.effort;
+        this.limit.velocity = source.limit.velocity;
+        this.dynamics.damping = source.dynamics.damping;
+        this.dynamics.friction = source.dynamics.friction;
+        this.safetyController = source.safetyController ? { ...source.safetyController } : null;
+        this.calibration = source.calibration ? { ...source.calibration } : null;
         this.ignoreLimits = false;
 
         this.jointValue = [...source.jointValue];
@@ -283,6 +363,31 @@ class URDFJoint extends URDFBase {
                 return true;
             }
 
+            case 'ball': {
+
+                // no-op if all values are identical to existing value or are null
+                if (this.jointValue.every((value, index) => values[index] === value || values[index] === null || values[index] === undefined)) return didUpdate;
+
+                this.jointValue[0] = values[0] != null ? values[0] : this.jointValue[0];
+                this.jointValue[1] = values[1] != null ? values[1] : this.jointValue[1];
+                this.jointValue[2] = values[2] != null ? values[2] : this.jointValue[2];
+
+                _tempQuat.setFromEuler(
+                    _tempEuler.set(
+                        this.jointValue[0],
+                        this.jointValue[1],
+                        this.jointValue[2],
+                        'ZYX',
+                    ),
+                );
+
+                this.position.copy(this.origPosition);
+                this.quaternion.copy(this.origQuaternion).multiply(_tempQuat);
+
+                this.matrixWorldNeedsUpdate = true;
+                return true;
+            }
+
             case 'planar': {
 
                 // no-op if all values are identical to existing value or are null
@@ -313,6 +418,92 @@ class URDFJoint extends URDFBase {
 
     }
 
+    /**
+     * Computes the transform of this joint relative to its parent for the given joint value
+     * without modifying the joint. Limits are applied as they are by setJointValue.
+     * @param {Array<number|null>} values The joint value components, null or missing components keep their current value
+     * @param {Matrix4} target The matrix to write the transform to
+     * @returns {Matrix4} The joint transform
+     */
+    getJointTransform(values = [], target = new Matrix4()) {
+
+        const origPosition = this.origPosition || this.position;
+        const origQuaternion = this.origQuaternion || this.quaternion;
+        const value = i => values[i] != null ? parseFloat(values[i]) : this.jointValue[i];
+
+        _tempPosition.copy(origPosition);
+        _tempQuat.copy(origQuaternion);
+
+        switch (this.jointType) {
+
+            case 'continuous':
+            case 'revolute': {
+
+                let angle = value(0);
+                if (!this.ignoreLimits && this.jointType === 'revolute') {
+
+                    angle = Math.min(this.limit.upper, angle);
+                    angle = Math.max(this.limit.lower, angle);
+
+                }
+
+                _tempQuat.multiply(_tempFKQuat.setFromAxisAngle(this.axis, angle));
+                break;
+
+            }
+
+            case 'prismatic': {
+
+                let pos = value(0);
+                if (!this.ignoreLimits) {
+
+                    pos = Math.min(this.limit.upper, pos);
+                    pos = Math.max(this.limit.lower, pos);
+
+                }
+
+                _tempAxis.copy(this.axis).applyQuaternion(origQuaternion);
+                _tempPosition.addScaledVector(_tempAxis, pos);
+                break;
+
+            }
+
+            case 'ball': {
+
+                _tempQuat.multiply(_tempFKQuat.setFromEuler(_tempEuler.set(value(0), value(1), value(2), 'ZYX')));
+                break;
+
+            }
+
+            case 'floating':
+            case 'planar': {
+
+                // The joint motion is applied in the parent frame on top of the joint origin
+                if (this.jointType === 'floating') {
+
+                    _tempFKQuat.setFromEuler(_tempEuler.set(value(3), value(4), value(5), 'XYZ'));
+                    _tempFKPosition.set(value(0), value(1), value(2));
+
+                } else {
+
+                    _tempFKQuat.setFromAxisAngle(this.axis, value(2));
+                    _tempFKPosition.set(value(0), value(1), 0.0);
+
+                }
+
+                _tempTransform.compose(_tempFKPosition, _tempFKQuat, _tempScale);
+                return target
+                    .compose(_tempPosition, _tempQuat, this.scale)
+                    .premultiply(_tempTransform);
+
+            }
+
+        }
+
+        return target.compose(_tempPosition, _tempQuat, this.scale);
+
+    }
+
 }
 
 class URDFMimicJoint extends URDFJoint {
@@ -359,6 +550,7 @@ class URDFRobot extends URDFLink {
 
         this.urdfRobotNode = null;
         this.robotName = null;
+        this.validation = null;
 
         this.links = null;
         this.joints = null;
@@ -374,6 +566,7 @@ class URDFRobot extends URDFLink {
 
         this.urdfRobotNode = source.urdfRobotNode;
         this.robotName = source.robotName;
+        this.validation = source.validation;
 
         this.links = {};
         this.joints = {};
@@ -430,6 +623,208 @@ class URDFRobot extends URDFLink {
 
     }
 
+    getTotalMass() {
+
+        let mass = 0;
+        for (const name in this.links) {
+
+            const inertial = this.links[name].inertial;
+            if (inertial) mass += inertial.mass;
+
+        }
+
+        return mass;
+
+    }
+
+    /**
+     * Computes the mass weighted center of all links for the current pose. World
+     * matrices are expected to be up to date.
+     * @param {Vector3} target The vector to write the world space center of mass to
+     * @returns {Vector3|null} The world space center of mass or null if the robot has no mass
+     */
+    getCenterOfMass(target = new Vector3()) {
+
+        let mass = 0;
+        target.set(0, 0, 0);
+        for (const name in this.links) {
+
+            const link = this.links[name];
+            if (!link.inertial || link.inertial.mass <= 0) continue;
+
+            link.getWorldCenterOfMass(_tempCom);
+            target.addScaledVector(_tempCom, link.inertial.mass);
+            mass += link.inertial.mass;
+
+        }
+
+        return mass > 0 ? target.divideScalar(mass) : null;
+
+    }
+
+    /**
+     * Computes the transform of a frame relative to the robot root for the given joint values
+     * without modifying the robot. Joints missing from the values keep their current value and
+     * mimic joints follow the joints they mimic.
+     * @param {Object<string, number|number[]>} jointValues Map of joint name to value as taken by setJointValues
+     * @param {string|Object3D} frameName The name of a link, joint or frame or an object in the robot
+     * @param {Matrix4} target The matrix to write the transform to
+     * @returns {Matrix4|null} The transform or null if the frame is not part of the robot
+     */
+    computeFK(jointValues, frameName, target = new Matrix4()) {
+
+        const frame = typeof frameName === 'string' ? this.frames[frameName] : frameName;
+        const transform = frame ? this._computeFrameTransform(frame, jointValues || {}, new Map()) : null;
+        return transform ? target.copy(transform) : null;
+
+    }
+
+    /**
+     * Computes the transforms of several frames for each of a list of joint values. Transforms of
+     * links shared by the frames are only computed once per set of joint values. See computeFK.
+     * @param {Array<Object<string, number|number[]>>} jointValuesList The sets of joint values
+     * @param {Array<string|Object3D>} frameNames The frames to compute the transforms of
+     * @returns {Array<Array<Matrix4|null>>} For each set of joint values the transforms of the frames in order
+     */
+    computeFKBatch(jointValuesList, frameNames) {
+
+        const frames = frameNames.map(name => typeof name === 'string' ? this.frames[name] : name);
+        return jointValuesList.map(jointValues => {
+
+            const cache = new Map();
+            return frames.map(frame => frame ? this._computeFrameTransform(frame, jointValues || {}, cache) : null);
+
+        });
+
+    }
+
+    /**
+     * Computes the geometric jacobian of a frame relative to the robot root, mapping joint velocities
+     * to the linear and angular velocity of the frame origin. Each revolute, continuous and prismatic
+     * joint between the root and the frame gets a column and mimic joints add to the column of the
+     * joint they mimic.
+     * @param {string|Object3D} frameName The name of a link, joint or frame or an object in the robot
+     * @param {Object<string, number|number[]>|null} jointValues The joint values to evaluate at as taken by computeFK, defaults to the current values
+     * @returns {{ jacobian: Array<number[]>, joints: Array<string> }|null} The six rows of the jacobian, linear
+     * velocity first, and the name of the joint for each column or null if the frame is not part of the robot
+     */
+    getJacobian(frameName, jointValues = null) {
+
+        const frame = typeof frameName === 'string' ? this.frames[frameName] : frameName;
+        const cache = new Map();
+        const tipTransform = frame ? this._computeFrameTransform(frame, jointValues || {}, cache) : null;
+        if (!tipTransform) return null;
+
+        _tempTip.setFromMatrixPosition(tipTransform);
+
+        const joints = [];
+        const columns = [];
+        const chain = [];
+        for (let object = frame; object !== this; object = object.parent) {
+
+            if (object.isURDFJoint && JACOBIAN_JOINT_TYPES.includes(object.jointType)) chain.unshift(object);
+
+        }
+
+        chain.forEach(joint => {
+
+            // Follow mimic joints to the joint driving them
+            let driver = joint;
+            let scale = 1;
+            const visited = new Set();
+            while (driver instanceof URDFMimicJoint && driver.mimicJoint in this.joints && !visited.has(driver)) {
+
+                visited.add(driver);
+                scale *= driver.multiplier;
+                driver = this.joints[driver.mimicJoint];
+
+            }
+
+            let index = joints.indexOf(driver.urdfName);
+            if (index === -1) {
+
+                index = joints.length;
+                joints.push(driver.urdfName);
+                columns.push(new Array(6).fill(0));
+
+            }
+
+            const transform = cache.get(joint);
+            _tempAxis.copy(joint.axis).transformDirection(transform);
+            _tempJointPosition.setFromMatrixPosition(transform);
+
+            const column = columns[index];
+            if (joint.jointType === 'prismatic') {
+
+                column[0] += _tempAxis.x * scale;
+                column[1] += _tempAxis.y * scale;
+                column[2] += _tempAxis.z * scale;
+
+            } else {
+
+                _tempPosition.subVectors(_tempTip, _tempJointPosition).crossVectors(_tempAxis, _tempPosition);
+                column[0] += _tempPosition.x * scale;
+                column[1] += _tempPosition.y * scale;
+                column[2] += _tempPosition.z * scale;
+                column[3] += _tempAxis.x * scale;
+                column[4] += _tempAxis.y * scale;
+                column[5] += _tempAxis.z * scale;
+
+            }
+
+        });
+
+        const jacobian = [0, 1, 2, 3, 4, 5].map(row => columns.map(column => column[row]));
+        return { jacobian, joints };
+
+    }
+
+    // Returns the transform of the object relative to the robot root, caching the transforms
+    // of it and its ancestors, or null if the object is not part of the robot
+    _computeFrameTransform(object, jointValues, cache) {
+
+        if (cache.has(object)) return cache.get(object);
+
+        let transform = null;
+        if (object === this) {
+
+            transform = new Matrix4();
+
+        } else if (object.parent) {
+
+            const parentTransform = this._computeFrameTransform(object.parent, jointValues, cache);
+            if (parentTransform) {
+
+                transform = object.isURDFJoint ?
+                    object.getJointTransform(this._getJointValues(object, jointValues)) :
+                    new Matrix4().compose(object.position, object.quaternion, object.scale);
+                transform.premultiply(parentTransform);
+
+            }
+
+        }
+
+        cache.set(object, transform);
+        return transform;
+
+    }
+
+    // Returns the value components of the joint from the given values, following mimicked joints
+    _getJointValues(joint, jointValues) {
+
+        if (joint instanceof URDFMimicJoint && joint.mimicJoint in this.joints) {
+
+            const mimicked = this._getJointValues(this.joints[joint.mimicJoint], jointValues);
+            return mimicked.map(x => x * joint.multiplier + joint.offset);
+
+        }
+
+        const value = jointValues[joint.urdfName];
+        if (value == null) return joint.jointValue;
+        return Array.isArray(value) ? value : [value];
+
+    }
+
     setJointValue(jointName, ...angle) {
 
         const joint = this.joints[jointName];
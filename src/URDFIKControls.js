@@ -1,45 +1,15 @@
-import { Raycaster, Vector3, Vector2, Object3D, SphereGeometry, MeshBasicMaterial, Mesh } from 'three';
+import { Raycaster, Vector3, Vector2, Object3D, SphereGeometry, MeshBasicMaterial, Mesh, Quaternion, Matrix3, Matrix4 } from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
 
-// Calculate the end point for a joint (furthest geometry from joint in its subtree)
-function calculateEndPoint(joint) {
-    let furthestPoint = new Vector3();
-    let maxDistance = 0;
+// Target sphere colors for each reachability status
+const REACH_COLORS = {
+    'reachable': 0x00ff00,
+    'near-limits': 0xffaa00,
+    'unreachable': 0xff0000,
+};
 
-    joint.traverse(child => {
-        if (child.isMesh && child.geometry) {
-            const geometry = child.geometry;
-            if (!geometry.boundingBox) {
-                geometry.computeBoundingBox();
-            }
-            if (geometry.boundingBox) {
-                const bbox = geometry.boundingBox;
-                const center = bbox.getCenter(new Vector3());
-
-                // Transform to world space
-                const worldCenter = center.clone();
-                child.localToWorld(worldCenter);
-
-                const jointWorldPos = new Vector3();
-                joint.getWorldPosition(jointWorldPos);
-
-                const distance = jointWorldPos.distanceTo(worldCenter);
-                if (distance > maxDistance) {
-                    maxDistance = distance;
-                    // Store in local space relative to joint
-                    joint.worldToLocal(worldCenter);
-                    furthestPoint.copy(worldCenter);
-                }
-            }
-        }
-    });
-
-    // If no geometry found, use a default offset
-    if (maxDistance === 0) {
-        furthestPoint.set(0, 0, 0.1);
-    }
-
-    return furthestPoint;
-}
+// Target sphere color for pinned targets that hold their effector in place
+const ANCHOR_COLOR = 0x3399ff;
 
 // Find all movable joints that can be used for IK
 function findAllMovableJoints(robot) {
@@ -68,13 +38,16 @@ function hasMovableChildren(joint) {
 // Build IK chain from end effector back to root
 // If the joint has movable children, include it in the chain (it should rotate)
 // If the joint has no movable children (end effector), exclude it from the chain (it shouldn't rotate)
-function buildIKChain(endEffector, includeEndEffector = false) {
+// Joints named in the lockedJoints set, and joints that mimic them, are left out of the chain
+function buildIKChain(endEffector, includeEndEffector = false, lockedJoints = null) {
     const chain = [];
     let current = includeEndEffector ? endEffector : endEffector.parent;
 
+    const isLocked = joint => lockedJoints && (lockedJoints.has(joint.name) || lockedJoints.has(getMimicDriver(joint).joint.name));
+
     // Traverse up the hierarchy to collect movable joints
     while (current && current.parent) {
-        if (current.isURDFJoint && current.jointType !== 'fixed') {
+        if (current.isURDFJoint && current.jointType !== 'fixed' && !isLocked(current)) {
             chain.unshift({
                 joint: current,
                 originalAngle: current.angle
@@ -86,6 +59,95 @@ function buildIKChain(endEffector, includeEndEffector = false) {
     return chain;
 }
 
+// Whether the IK solvers can move the given joint
+function isSolvableJoint(joint) {
+    return joint.jointType === 'revolute' || joint.jointType === 'continuous' || joint.jointType === 'prismatic';
+}
+
+// Find the robot a joint belongs to
+function getRobot(joint) {
+    let current = joint;
+    while (current && !current.isURDFRobot) {
+        current = current.parent;
+    }
+    return current;
+}
+
+// Follow mimic joints back to the joint that drives them. Returns the driving joint
+// and how far the given joint moves per unit of motion of the driving joint.
+function getMimicDriver(joint) {
+    let driver = joint;
+    let scale = 1;
+    const visited = new Set();
+    while (driver.type === 'URDFMimicJoint' && !visited.has(driver)) {
+        visited.add(driver);
+        const robot = getRobot(driver);
+        const mimicked = robot && robot.joints[driver.mimicJoint];
+        if (!mimicked) break;
+
+        scale *= driver.multiplier;
+        driver = mimicked;
+    }
+    return { joint: driver, scale };
+}
+
+// Get the [lower, upper] range a joint can be driven through, including the limits
+// of the joints that mimic it. Returns null if the joint is unlimited.
+function getJointLimits(joint) {
+    let lower = -Infinity;
+    let upper = Infinity;
+
+    const applyLimits = (current, multiplier, offset) => {
+        const type = current.jointType;
+        const range = current.limit.upper - current.limit.lower;
+        const limited = type === 'prismatic' || (type === 'revolute' && range > 0);
+        if (limited && !current.ignoreLimits && multiplier !== 0) {
+            // Map the limits of the mimic joint back onto the driving joint
+            const a = (current.limit.lower - offset) / multiplier;
+            const b = (current.limit.upper - offset) / multiplier;
+            lower = Math.max(lower, Math.min(a, b));
+            upper = Math.min(upper, Math.max(a, b));
+        }
+
+        current.mimicJoints.forEach(mimic => {
+            applyLimits(mimic, mimic.multiplier * multiplier, mimic.multiplier * offset + mimic.offset);
+        });
+    };
+    applyLimits(joint, 1, 0);
+
+    if (lower > upper || (lower === -Infinity && upper === Infinity)) return null;
+    return [lower, upper];
+}
+
+// Notify the callback about a joint and every joint that mimics it
+function notifyJointChange(callback, joint) {
+    if (!callback) return;
+    callback(joint);
+    joint.mimicJoints.forEach(mimic => notifyJointChange(callback, mimic));
+}
+
+// Returns the weight of a joint from a map of joint name to weight, defaulting to 1
+function getJointWeight(weights, joint) {
+    return weights && joint.name in weights ? Math.max(0, weights[joint.name]) : 1;
+}
+
+// Returns the joints driving the chain that are within the given fraction of their
+// range from a limit
+function getSaturatedJoints(chain, margin) {
+    const saturated = new Set();
+    chain.forEach(({ joint }) => {
+        const { joint: driver } = getMimicDriver(joint);
+        const limits = getJointLimits(driver);
+        if (!isSolvableJoint(driver) || !limits) return;
+
+        const threshold = (limits[1] - limits[0]) * margin + 1e-6;
+        if (driver.angle <= limits[0] + threshold || driver.angle >= limits[1] - threshold) {
+            saturated.add(driver);
+        }
+    });
+    return [...saturated];
+}
+
 // Improved CCD IK solver for URDF joints
 class SimpleIKSolver {
     constructor(chain, target, effector, updateCallback) {
@@ -97,7 +159,9 @@ class SimpleIKSolver {
         this.maxIterations = 15;
         this.dampingFactor = 0.5; // Increased for smoother motion
         this.maxAngleChangePerIteration = 0.15; // Limit angle changes for smoothness
+        this.maxLinearChangePerIteration = 0.01; // Limit prismatic changes in meters
         this.smoothingFactor = 0.3; // For interpolating towards target angles
+        this.jointWeights = {}; // Relative step size by joint name, 0 holds a joint still
 
         // Store initial orientation to preserve it
         this.initialOrientation = new Vector3();
@@ -115,14 +179,13 @@ class SimpleIKSolver {
     }
     
     getEffectorEndPoint() {
-        // Use the stored end point if available, otherwise use joint position
-        if (this.effector.endPoint) {
-            const worldEndPoint = this.effector.endPoint.clone();
-            this.effector.localToWorld(worldEndPoint);
-            return worldEndPoint;
-        } else {
-            return this.effector.getWorldPosition(new Vector3());
-        }
+        return this.effector.getWorldPosition(new Vector3());
+    }
+
+    // Returns the current position error. The orientation is not solved for so its error is zero.
+    computeError() {
+        const position = this.target.getWorldPosition(new Vector3()).sub(this.getEffectorEndPoint());
+        return { position, orientation: new Vector3() };
     }
     
     solve() {
@@ -138,37 +201,18 @@ class SimpleIKSolver {
             // Work backwards through the chain (from effector to base)
             for (let i = this.chain.length - 1; i >= 0; i--) {
                 const joint = this.chain[i].joint;
+                if (!isSolvableJoint(joint)) continue;
 
-                if (joint.jointType !== 'revolute' && joint.jointType !== 'continuous') {
-                    continue; // Skip non-revolute joints for now
-                }
+                // Mimic joints are moved through the joint they mimic
+                const { joint: driver, scale } = getMimicDriver(joint);
+                if (!isSolvableJoint(driver) || scale === 0) continue;
+
+                const weight = getJointWeight(this.jointWeights, driver);
+                if (weight === 0) continue;
 
                 // Get current end effector position (actual tip, not joint)
                 const effectorPos = this.getEffectorEndPoint();
 
-                const jointPos = new Vector3();
-                joint.getWorldPosition(jointPos);
-
-                // Skip if joint and effector are at same position
-                if (jointPos.distanceTo(effectorPos) < 0.001) continue;
-
-                // Calculate vectors from joint to effector and joint to target
-                const toEffector = effectorPos.clone().sub(jointPos);
-                const toTarget = targetPos.clone().sub(jointPos);
-
-                // Skip if vectors are too small
-                if (toEffector.length() < 0.001 || toTarget.length() < 0.001) continue;
-
-                toEffector.normalize();
-                toTarget.normalize();
-
-                // Calculate angle between vectors
-                const dot = Math.max(-1, Math.min(1, toEffector.dot(toTarget)));
-                const angle = Math.acos(dot);
-
-                // Skip if already aligned
-                if (angle < 0.001) continue;
-
                 // Get joint axis in world space
                 const axis = new Vector3();
                 if (joint.axis) {
@@ -178,51 +222,76 @@ class SimpleIKSolver {
                 }
                 const axisWorld = axis.clone().transformDirection(joint.matrixWorld).normalize();
 
-                // Calculate rotation direction
-                const cross = toEffector.clone().cross(toTarget);
-                const direction = Math.sign(cross.dot(axisWorld));
+                let delta;
+                if (joint.jointType === 'prismatic') {
+                    // Slide by the part of the remaining offset that lies along the axis
+                    const offset = targetPos.clone().sub(effectorPos).dot(axisWorld);
+                    if (Math.abs(offset) < 0.0001) continue;
+
+                    delta = offset * this.dampingFactor * weight;
+                    delta = Math.max(-this.maxLinearChangePerIteration,
+                                     Math.min(this.maxLinearChangePerIteration, delta));
+                } else {
+                    const jointPos = new Vector3();
+                    joint.getWorldPosition(jointPos);
 
-                // Apply damping and calculate new angle
-                let deltaAngle = direction * angle * this.dampingFactor;
+                    // Skip if joint and effector are at same position
+                    if (jointPos.distanceTo(effectorPos) < 0.001) continue;
 
-                // Clamp the maximum angle change per iteration for smoothness
-                deltaAngle = Math.max(-this.maxAngleChangePerIteration,
-                                     Math.min(this.maxAngleChangePerIteration, deltaAngle));
+                    // Calculate vectors from joint to effector and joint to target
+                    const toEffector = effectorPos.clone().sub(jointPos);
+                    const toTarget = targetPos.clone().sub(jointPos);
 
-                // Calculate target angle
-                let targetAngle = joint.angle + deltaAngle;
+                    // Skip if vectors are too small
+                    if (toEffector.length() < 0.001 || toTarget.length() < 0.001) continue;
+
+                    toEffector.normalize();
+                    toTarget.normalize();
+
+                    // Calculate angle between vectors
+                    const dot = Math.max(-1, Math.min(1, toEffector.dot(toTarget)));
+                    const angle = Math.acos(dot);
+
+                    // Skip if already aligned
+                    if (angle < 0.001) continue;
+
+                    // Calculate rotation direction
+                    const cross = toEffector.clone().cross(toTarget);
+                    const direction = Math.sign(cross.dot(axisWorld));
+
+                    // Apply damping and clamp the maximum angle change per iteration for smoothness
+                    delta = direction * angle * this.dampingFactor * weight;
+                    delta = Math.max(-this.maxAngleChangePerIteration,
+                                     Math.min(this.maxAngleChangePerIteration, delta));
+                }
+
+                // Calculate target value of the driving joint
+                let targetAngle = driver.angle + delta / scale;
 
                 // Apply joint limits
-                if (joint.limit) {
-                    const range = joint.limit.upper - joint.limit.lower;
-                    if (range > 0) {
-                        targetAngle = Math.max(joint.limit.lower, Math.min(joint.limit.upper, targetAngle));
-                    }
+                const limits = getJointLimits(driver);
+                if (limits) {
+                    targetAngle = Math.max(limits[0], Math.min(limits[1], targetAngle));
                 }
 
                 // Smooth interpolation from previous angle to target angle
-                const previousAngle = this.previousAngles.get(joint) || joint.angle;
+                const previousAngle = this.previousAngles.get(driver) || driver.angle;
                 let newAngle = previousAngle + (targetAngle - previousAngle) * this.smoothingFactor;
 
                 // Apply joint limits again after smoothing
-                if (joint.limit) {
-                    const range = joint.limit.upper - joint.limit.lower;
-                    if (range > 0) {
-                        newAngle = Math.max(joint.limit.lower, Math.min(joint.limit.upper, newAngle));
-                    }
+                if (limits) {
+                    newAngle = Math.max(limits[0], Math.min(limits[1], newAngle));
                 }
 
                 // Only apply if the change is significant
-                const actualDelta = Math.abs(newAngle - joint.angle);
+                const actualDelta = Math.abs(newAngle - driver.angle);
                 if (actualDelta > 0.0001) {
-                    joint.setJointValue(newAngle);
-                    this.previousAngles.set(joint, newAngle);
+                    driver.setJointValue(newAngle);
+                    this.previousAngles.set(driver, newAngle);
                     totalChange += actualDelta;
 
-                    // Notify UI that joint angle changed
-                    if (this.updateCallback) {
-                        this.updateCallback(joint);
-                    }
+                    // Notify UI that joint values changed
+                    notifyJointChange(this.updateCallback, driver);
                 }
             }
 
@@ -258,7 +327,7 @@ class SimpleIKSolver {
             for (const chainItem of orientationJoints) {
                 const joint = chainItem.joint;
 
-                if (joint.jointType !== 'revolute' && joint.jointType !== 'continuous') {
+                if (joint.jointType !== 'revolute' && joint.jointType !== 'continuous' || joint.type === 'URDFMimicJoint') {
                     continue;
                 }
 
@@ -280,25 +349,868 @@ class SimpleIKSolver {
                 let newAngle = joint.angle + correctionAngle;
 
                 // Apply joint limits
-                if (joint.limit) {
-                    const range = joint.limit.upper - joint.limit.lower;
-                    if (range > 0) {
-                        newAngle = Math.max(joint.limit.lower, Math.min(joint.limit.upper, newAngle));
-                    }
+                const limits = getJointLimits(joint);
+                if (limits) {
+                    newAngle = Math.max(limits[0], Math.min(limits[1], newAngle));
                 }
 
                 joint.setJointValue(newAngle);
                 this.previousAngles.set(joint, newAngle);
 
-                // Notify UI that joint angle changed
-                if (this.updateCallback) {
-                    this.updateCallback(joint);
+                // Notify UI that joint values changed
+                notifyJointChange(this.updateCallback, joint);
+            }
+        }
+    }
+}
+
+// Solve the square linear system A x = b in place using Gaussian elimination
+// with partial pivoting. Returns null if the system is singular.
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) return null;
+
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const f = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= f * A[col][k];
+            b[row] -= f * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+// Rotation vector (axis * angle) that takes orientation "from" to orientation "to"
+function getRotationError(from, to, target = new Vector3()) {
+    const q = to.clone().multiply(from.clone().invert());
+    if (q.w < 0) {
+        q.set(-q.x, -q.y, -q.z, -q.w);
+    }
+
+    const sinHalf = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+    if (sinHalf < 1e-9) {
+        return target.set(q.x * 2, q.y * 2, q.z * 2);
+    }
+
+    const angle = 2 * Math.atan2(sinHalf, q.w);
+    return target.set(q.x, q.y, q.z).multiplyScalar(angle / sinHalf);
+}
+
+// Rotation vector that turns the unit vector "from" onto the unit vector "to"
+function getAlignmentError(from, to, target = new Vector3()) {
+    target.crossVectors(from, to);
+    const sin = target.length();
+    const angle = Math.atan2(sin, from.dot(to));
+    if (sin > 1e-9) {
+        return target.multiplyScalar(angle / sin);
+    }
+
+    // Opposite vectors can be turned about any perpendicular axis
+    if (angle > Math.PI / 2) {
+        target.set(1, 0, 0).cross(from);
+        if (target.lengthSq() < 1e-6) target.set(0, 1, 0).cross(from);
+        return target.normalize().multiplyScalar(angle);
+    }
+    return target.set(0, 0, 0);
+}
+
+// Signed angle about the unit vector "up" that turns the heading of orientation "from"
+// to the heading of orientation "to". The heading is the direction of the frame x axis,
+// or the y axis when x points along up, in the plane perpendicular to up.
+function getHeadingError(from, to, up) {
+    const getHeading = q => {
+        const heading = new Vector3(1, 0, 0).applyQuaternion(q).projectOnPlane(up);
+        if (heading.lengthSq() < 1e-6) {
+            heading.set(0, 1, 0).applyQuaternion(q).projectOnPlane(up);
+        }
+        return heading.normalize();
+    };
+
+    const a = getHeading(from);
+    const b = getHeading(to);
+    return Math.atan2(new Vector3().crossVectors(a, b).dot(up), a.dot(b));
+}
+
+// Damped least squares (Levenberg-Marquardt) IK solver for URDF joints. Drives
+// the effector end point towards the target position and the effector frame
+// towards the target orientation, weighted by positionWeight and orientationWeight.
+class DLSIKSolver {
+    constructor(chain, target, effector, updateCallback) {
+        this.chain = chain;
+        this.target = target;
+        this.effector = effector;
+        this.updateCallback = updateCallback; // Callback to update UI when joints change
+        this.tolerance = 0.001; // meters
+        this.orientationTolerance = 0.01; // radians
+        this.maxIterations = 20;
+        this.damping = 0.05;
+        this.maxStep = 0.2; // Largest joint change per iteration for smoothness
+        this.maxLinearStep = 0.02; // Largest prismatic change per iteration in meters
+        this.iterations = 0; // Iterations used by the last call to solve
+
+        // Number of times to start over from random joint values when the solver stalls
+        // short of the target and the function drawing them. The interactive controls keep
+        // this at 0 so the robot doesn't jump while dragging.
+        this.maxRestarts = 0;
+        this.random = Math.random;
+        this.stallIterations = 10; // Iterations over which the error must fall by a tenth
+
+        // Relative joint weights by name. Joints with higher weights take up more of
+        // the motion and a weight of zero holds a joint still.
+        this.jointWeights = {};
+
+        // Relative weights of the position and orientation error. An orientation
+        // weight of zero solves for position only.
+        this.positionWeight = 1.0;
+        this.orientationWeight = 0.2;
+
+        // How the orientation is constrained. "full" matches the target orientation, "axis"
+        // only points the effector toolAxis along the world alignDirection, "yaw" only
+        // matches the heading of the target about the world upDirection and "none" leaves
+        // the orientation free.
+        this.orientationMode = 'full';
+        this.toolAxis = new Vector3(0, 0, 1);
+        this.alignDirection = new Vector3(0, 0, -1);
+        this.upDirection = new Vector3(0, 0, 1);
+
+        // Secondary objective that uses the joint freedom left over by the target without
+        // moving the effector. "home" pulls the joints towards homePose, a map of joint name
+        // to value defaulting to 0, "limits" pulls the joints towards the middle of their
+        // range and "manipulability" moves away from singular configurations. Null disables it.
+        this.nullSpaceObjective = null;
+        this.homePose = {};
+        this.maxNullSpaceStep = 0.05; // Largest joint change per iteration towards the objective
+        this.objectiveTolerance = 1e-5; // Smallest gain in the objective per iteration worth continuing for
+
+        // The root of the robot so world matrices can be refreshed between iterations
+        this.root = effector;
+        while (this.root.parent) {
+            this.root = this.root.parent;
+        }
+    }
+
+    getEffectorEndPoint() {
+        return this.effector.getWorldPosition(new Vector3());
+    }
+
+    // The joints the solver drives, each with the chain joints it moves. Mimic
+    // joints in the chain are driven through the joint they mimic.
+    getDrivers() {
+        const drivers = new Map();
+        this.chain.forEach(({ joint }) => {
+            if (!isSolvableJoint(joint)) return;
+
+            const { joint: driver, scale } = getMimicDriver(joint);
+            if (!isSolvableJoint(driver)) return;
+
+            if (!drivers.has(driver)) {
+                drivers.set(driver, { joint: driver, weight: getJointWeight(this.jointWeights, driver), terms: [] });
+            }
+            drivers.get(driver).terms.push({ joint, scale });
+        });
+        return [...drivers.values()];
+    }
+
+    // Returns the matrix that keeps the part of an angular velocity the orientation mode
+    // constrains or null if all of it is constrained
+    getOrientationProjection() {
+        const projection = new Matrix3();
+        if (this.orientationMode === 'none') {
+            return projection.set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        } else if (this.orientationMode === 'axis') {
+            // Spinning about the tool axis leaves it aligned: I - a a^T
+            const a = this.toolAxis.clone().applyQuaternion(this.effector.getWorldQuaternion(new Quaternion())).normalize();
+            return projection.set(
+                1 - a.x * a.x, -a.x * a.y, -a.x * a.z,
+                -a.y * a.x, 1 - a.y * a.y, -a.y * a.z,
+                -a.z * a.x, -a.z * a.y, 1 - a.z * a.z,
+            );
+        } else if (this.orientationMode === 'yaw') {
+            // Only spinning about the up direction changes the heading: u u^T
+            const u = this.upDirection.clone().normalize();
+            return projection.set(
+                u.x * u.x, u.x * u.y, u.x * u.z,
+                u.y * u.x, u.y * u.y, u.y * u.z,
+                u.z * u.x, u.z * u.y, u.z * u.z,
+            );
+        }
+        return null;
+    }
+
+    // Returns the 6 x N jacobian rows for the effector end point, weighted and projected
+    // for the orientation mode unless "weighted" is false
+    computeJacobian(drivers, endPoint, weighted = true) {
+        const wp = weighted ? this.positionWeight : 1;
+        const wo = weighted ? this.orientationWeight : 1;
+        const projection = weighted ? this.getOrientationProjection() : null;
+        const J = [[], [], [], [], [], []];
+        const axis = new Vector3();
+        const origin = new Vector3();
+        const lever = new Vector3();
+        const linear = new Vector3();
+        const angular = new Vector3();
+
+        drivers.forEach(({ terms }) => {
+            linear.set(0, 0, 0);
+            angular.set(0, 0, 0);
+            terms.forEach(({ joint, scale }) => {
+                axis.copy(joint.axis).transformDirection(joint.matrixWorld);
+                if (joint.jointType === 'prismatic') {
+                    linear.addScaledVector(axis, scale);
+                } else {
+                    joint.getWorldPosition(origin);
+                    lever.subVectors(endPoint, origin).crossVectors(axis, lever);
+                    linear.addScaledVector(lever, scale);
+                    angular.addScaledVector(axis, scale);
+                }
+            });
+
+            if (projection) {
+                angular.applyMatrix3(projection);
+            }
+
+            J[0].push(linear.x * wp);
+            J[1].push(linear.y * wp);
+            J[2].push(linear.z * wp);
+            J[3].push(angular.x * wo);
+            J[4].push(angular.y * wo);
+            J[5].push(angular.z * wo);
+        });
+
+        return J;
+    }
+
+    // Solves dq = W J^T (J W J^T + lambda^2 I)^-1 e using only the active joint columns,
+    // where W holds the joint weights
+    computeStep(J, e, active, weights, damping = this.damping) {
+        const lambda2 = damping * damping;
+        const rows = J.length;
+        const A = [];
+        for (let r = 0; r < rows; r++) {
+            A.push([]);
+            for (let c = 0; c < rows; c++) {
+                let sum = r === c ? lambda2 : 0;
+                for (let k = 0; k < active.length; k++) {
+                    if (active[k]) sum += weights[k] * J[r][k] * J[c][k];
                 }
+                A[r].push(sum);
+            }
+        }
+
+        const y = solveLinearSystem(A, e.slice());
+        if (!y) return null;
+
+        return active.map((isActive, k) => {
+            if (!isActive) return 0;
+            let sum = 0;
+            for (let r = 0; r < rows; r++) sum += J[r][k] * y[r];
+            return weights[k] * sum;
+        });
+    }
+
+    // Returns the translational manipulability sqrt(det(Jp Jp^T)) of the current configuration,
+    // which falls to zero as the effector approaches a singularity
+    computeManipulability(drivers) {
+        this.root.updateMatrixWorld(true);
+        const J = this.computeJacobian(drivers, this.getEffectorEndPoint(), false);
+        const m = new Matrix3();
+        const elements = [];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                elements.push(J[r].reduce((sum, v, k) => sum + v * J[c][k], 0));
             }
         }
+        m.set(...elements);
+        return Math.sqrt(Math.max(0, m.determinant()));
+    }
+
+    // Returns the value of the secondary objective, which computeObjectiveGradient climbs
+    computeObjective(drivers) {
+        switch (this.nullSpaceObjective) {
+            case 'home':
+            case 'limits':
+                // Half the squared distance to the pose the gradient pulls towards
+                return -0.5 * this.computeObjectiveGradient(drivers).reduce((sum, v) => sum + v * v, 0);
+
+            case 'manipulability':
+                return Math.log(this.computeManipulability(drivers) + 1e-12);
+
+            default:
+                return 0;
+        }
+    }
+
+    // Returns the direction each driver should move to improve the secondary objective
+    computeObjectiveGradient(drivers) {
+        const joints = drivers.map(driver => driver.joint);
+        switch (this.nullSpaceObjective) {
+            case 'home':
+                return joints.map(joint => (this.homePose[joint.name] || 0) - joint.angle);
+
+            case 'limits':
+                return joints.map(joint => {
+                    const limits = getJointLimits(joint);
+                    return limits ? (limits[0] + limits[1]) / 2 - joint.angle : 0;
+                });
+
+            case 'manipulability': {
+                // Finite difference gradient of log(manipulability)
+                const epsilon = 1e-4;
+                const base = Math.log(this.computeManipulability(drivers) + 1e-12);
+                const gradient = joints.map(joint => {
+                    const value = joint.angle;
+                    joint.setJointValue(value + epsilon);
+                    const delta = joint.angle - value;
+                    const result = delta === 0 ? 0 : (Math.log(this.computeManipulability(drivers) + 1e-12) - base) / delta;
+                    joint.setJointValue(value);
+                    return result;
+                });
+                this.root.updateMatrixWorld(true);
+                return gradient;
+            }
+
+            default:
+                return joints.map(() => 0);
+        }
+    }
+
+    // Returns the step towards the secondary objective projected into the null space of the
+    // jacobian so it leaves the effector in place: (I - J+ J) W g
+    computeNullSpaceStep(drivers, J, active, weights) {
+        const gradient = this.computeObjectiveGradient(drivers);
+        const z = gradient.map((g, k) => active[k] ? g * weights[k] : 0);
+
+        // The projection is solved with only a tiny damping, as the solver damping would let part
+        // of the step leak into the task. Rows of unconstrained axes are dropped so it stays solvable.
+        const rows = J.filter(row => row.some((v, k) => active[k] && v !== 0));
+        const Jz = rows.map(row => row.reduce((sum, v, k) => sum + v * z[k], 0));
+        const p = this.computeStep(rows, Jz, active, weights, 1e-5);
+        if (!p) return z.map(() => 0);
+
+        // Limit the size of the projected step so the objective is approached gradually
+        const step = z.map((v, k) => v - p[k]);
+        const largest = Math.max(...step.map(Math.abs));
+        const scale = largest > this.maxNullSpaceStep ? this.maxNullSpaceStep / largest : 1;
+        return step.map(v => v * scale);
+    }
+
+    // Returns the current position error and the orientation error for the orientation
+    // mode as a world rotation vector
+    computeError() {
+        const targetPos = this.target.getWorldPosition(new Vector3());
+        const targetQuat = this.target.getWorldQuaternion(new Quaternion());
+        const effectorQuat = this.effector.getWorldQuaternion(new Quaternion());
+
+        const position = targetPos.sub(this.getEffectorEndPoint());
+        let orientation;
+        if (this.orientationMode === 'none') {
+            orientation = new Vector3();
+        } else if (this.orientationMode === 'axis') {
+            const axis = this.toolAxis.clone().applyQuaternion(effectorQuat).normalize();
+            orientation = getAlignmentError(axis, this.alignDirection.clone().normalize());
+        } else if (this.orientationMode === 'yaw') {
+            const up = this.upDirection.clone().normalize();
+            orientation = up.multiplyScalar(getHeadingError(effectorQuat, targetQuat, up));
+        } else {
+            orientation = getRotationError(effectorQuat, targetQuat);
+        }
+        return { position, orientation };
+    }
+
+    // Returns the weighted jacobian rows and error of the target and whether it is reached
+    computeTask(drivers) {
+        const wp = this.positionWeight;
+        const wo = this.orientationWeight;
+
+        const { position, orientation } = this.computeError();
+        const positionDone = wp === 0 || position.length() < this.tolerance;
+        const orientationDone = wo === 0 || orientation.length() < this.orientationTolerance;
+
+        const e = [
+            position.x * wp, position.y * wp, position.z * wp,
+            orientation.x * wo, orientation.y * wo, orientation.z * wo,
+        ];
+        const J = this.computeJacobian(drivers, this.getEffectorEndPoint());
+        return { J, e, reached: positionDone && orientationDone };
+    }
+
+    solve() {
+        this.iterations = 0;
+        const drivers = this.getDrivers();
+        const joints = drivers.map(driver => driver.joint);
+        if (joints.length === 0) return;
+        const limits = joints.map(joint => getJointLimits(joint));
+        const weights = drivers.map(driver => driver.weight);
+
+        // When an attempt stalls short of the target, such as against a joint limit, start
+        // over from random joint values and keep the closest configuration found
+        let best = null;
+        for (let attempt = 0; attempt <= this.maxRestarts; attempt++) {
+            if (attempt > 0) {
+                joints.forEach((joint, k) => {
+                    const [lower, upper] = limits[k] || [-Math.PI, Math.PI];
+                    joint.setJointValue(lower + this.random() * (upper - lower));
+                });
+            }
+
+            const { reached, cost } = this.iterate(drivers, limits, weights);
+            if (reached) {
+                best = null;
+                break;
+            }
+
+            if (!best || cost < best.cost) {
+                best = { cost, values: joints.map(joint => joint.angle) };
+            }
+        }
+
+        if (best) {
+            this.setJointValues(joints, best.values);
+        }
+
+        this.root.updateMatrixWorld(true);
+    }
+
+    // Sets the joints back to previously recorded values
+    setJointValues(joints, values) {
+        joints.forEach((joint, k) => {
+            if (joint.setJointValue(values[k])) notifyJointChange(this.updateCallback, joint);
+        });
+    }
+
+    // Steps the joints towards the target from their current values for up to maxIterations.
+    // Stops early once the target is reached, or with a secondary objective once that stops
+    // improving, or when the error stops falling. Returns whether the target was reached and
+    // the remaining weighted squared error.
+    iterate(drivers, limits, weights) {
+        const joints = drivers.map(driver => driver.joint);
+        const costs = [];
+        let damping = this.damping;
+        let accepted = null;
+        let settled = null;
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            this.root.updateMatrixWorld(true);
+
+            const { J, e, reached: targetReached } = this.computeTask(drivers);
+            if (targetReached && !this.nullSpaceObjective) break;
+
+            // Once the target is reached only the secondary objective is left to improve, so
+            // stop when it no longer does and keep the better of the last two configurations
+            if (targetReached) {
+                const objective = this.computeObjective(drivers);
+                if (settled && objective < settled.objective + this.objectiveTolerance) {
+                    if (objective < settled.objective) this.setJointValues(joints, settled.values);
+                    break;
+                }
+                settled = { objective, values: joints.map(joint => joint.angle) };
+            }
+
+            // Like Levenberg-Marquardt, undo steps that increase the error and damp the next
+            // one more, and relax the damping again while the error falls
+            const cost = e.reduce((sum, v) => sum + v * v, 0);
+            if (accepted && !targetReached && cost > accepted.cost) {
+                this.setJointValues(joints, accepted.values);
+                damping = Math.min(damping * 4, 1);
+                this.iterations++;
+                continue;
+            }
+
+            accepted = { cost, values: joints.map(joint => joint.angle) };
+            damping = Math.max(damping / 2, this.damping / 10);
+
+            // Give up on the attempt when the error has barely dropped over the last iterations
+            costs.push(cost);
+            const previous = costs[costs.length - 1 - this.stallIterations];
+            if (!targetReached && previous !== undefined && cost > previous * 0.9) break;
+
+            // Joints resting on a limit that the step would push further into are
+            // removed from the jacobian and the step is solved again so the other
+            // joints take up the motion instead of stalling against the limit
+            const active = joints.map(() => true);
+            let dq = null;
+            for (let pass = 0; pass < joints.length; pass++) {
+                dq = this.computeStep(J, e, active, weights, damping);
+                if (!dq) break;
+
+                let changed = false;
+                joints.forEach((joint, k) => {
+                    if (!active[k] || !limits[k]) return;
+
+                    const atLower = joint.angle <= limits[k][0] + 1e-6 && dq[k] < 0;
+                    const atUpper = joint.angle >= limits[k][1] - 1e-6 && dq[k] > 0;
+                    if (atLower || atUpper) {
+                        active[k] = false;
+                        changed = true;
+                    }
+                });
+
+                if (!changed) break;
+            }
+            if (!dq) break;
+
+            // Once the target is reached, use the remaining freedom for the secondary objective
+            if (this.nullSpaceObjective && targetReached) {
+                const nullStep = this.computeNullSpaceStep(drivers, J, active, weights);
+                nullStep.forEach((v, k) => dq[k] += v);
+            }
+
+            // Scale the step down uniformly so no joint moves more than its max step
+            let scale = 1;
+            joints.forEach((joint, k) => {
+                const maxStep = joint.jointType === 'prismatic' ? this.maxLinearStep : this.maxStep;
+                if (Math.abs(dq[k]) * scale > maxStep) {
+                    scale = maxStep / Math.abs(dq[k]);
+                }
+            });
+
+            let totalChange = 0;
+            joints.forEach((joint, k) => {
+                let newAngle = joint.angle + dq[k] * scale;
+
+                // Apply joint limits
+                if (limits[k]) {
+                    newAngle = Math.max(limits[k][0], Math.min(limits[k][1], newAngle));
+                }
+
+                const actualDelta = Math.abs(newAngle - joint.angle);
+                if (actualDelta > 1e-7) {
+                    joint.setJointValue(newAngle);
+                    totalChange += actualDelta;
+
+                    // Notify UI that joint values changed
+                    notifyJointChange(this.updateCallback, joint);
+                }
+            });
+
+            this.iterations++;
+
+            // End the attempt once the joints stop moving, "solve" restarts it if the
+            // target hasn't been reached
+            if (totalChange < 1e-6) break;
+        }
+
+        // A step towards the objective can leave the effector just outside the tolerance
+        // when the iterations run out, so fall back to the last configuration that reached it
+        this.root.updateMatrixWorld(true);
+        let { e, reached } = this.computeTask(drivers);
+        if (!reached && settled) {
+            this.setJointValues(joints, settled.values);
+            this.root.updateMatrixWorld(true);
+            ({ e, reached } = this.computeTask(drivers));
+        }
+        return { reached, cost: e.reduce((sum, v) => sum + v * v, 0) };
     }
 }
 
+// Solves several pose targets at once, such as both arms of a bimanual robot or a gripper
+// while a pinned camera mast holds still. The jacobian rows and errors of the DLS solvers
+// are stacked so joints shared by several chains are solved jointly. The first solver is
+// the one being dragged, the rest are anchors.
+class MultiTargetIKSolver extends DLSIKSolver {
+    constructor(solvers, updateCallback) {
+        super([], solvers[0].target, solvers[0].effector, updateCallback);
+        this.solvers = solvers;
+
+        // How much more the anchor errors count than the first target's, so anchors hold
+        // while a target that can't be reached along with them is met as closely as possible
+        this.anchorWeight = 10;
+    }
+
+    // The joints driven by any of the solvers
+    getDrivers() {
+        const drivers = new Map();
+        this.solvers.forEach(solver => {
+            solver.getDrivers().forEach(({ joint, terms }) => {
+                if (!drivers.has(joint)) {
+                    drivers.set(joint, { joint, weight: getJointWeight(this.jointWeights, joint), terms: [] });
+                }
+
+                const driver = drivers.get(joint);
+                terms.forEach(term => {
+                    if (!driver.terms.some(t => t.joint === term.joint)) driver.terms.push(term);
+                });
+            });
+        });
+        return [...drivers.values()];
+    }
+
+    computeTask(drivers) {
+        const columns = new Map(drivers.map(({ joint }, k) => [joint, k]));
+        const J = [];
+        const e = [];
+        let reached = true;
+        this.solvers.forEach((solver, i) => {
+            // Place the columns of each solver's jacobian under the shared drivers
+            const solverDrivers = solver.getDrivers();
+            const task = solver.computeTask(solverDrivers);
+            const weight = i === 0 ? 1 : this.anchorWeight;
+            task.J.forEach(row => {
+                const stacked = new Array(drivers.length).fill(0);
+                row.forEach((v, k) => stacked[columns.get(solverDrivers[k].joint)] = v * weight);
+                J.push(stacked);
+            });
+            e.push(...task.e.map(v => v * weight));
+            reached = reached && task.reached;
+        });
+        return { J, e, reached };
+    }
+
+    computeError() {
+        return this.solvers[0].computeError();
+    }
+
+    // The product of the manipulability of every target
+    computeManipulability() {
+        return this.solvers.reduce((product, solver) => product * solver.computeManipulability(solver.getDrivers()), 1);
+    }
+}
+
+export { SimpleIKSolver, DLSIKSolver, MultiTargetIKSolver };
+
+export const IK_SOLVERS = {
+    dls: DLSIKSolver,
+    ccd: SimpleIKSolver,
+};
+
+// Convert a target pose given as a Matrix4, an Object3D or { position, quaternion }
+// with vectors or arrays into a matrix. Returns whether an orientation was given.
+function readPose(pose, matrix) {
+    if (pose.isMatrix4) {
+        matrix.copy(pose);
+        return true;
+    }
+
+    if (pose.isObject3D) {
+        pose.updateMatrix();
+        matrix.copy(pose.matrix);
+        return true;
+    }
+
+    const toVector = v => v.isVector3 ? v : new Vector3().fromArray(v);
+    const toQuaternion = q => q.isQuaternion ? q : new Quaternion().fromArray(q);
+    const position = pose.position ? toVector(pose.position) : new Vector3();
+    const quaternion = pose.quaternion ? toQuaternion(pose.quaternion) : new Quaternion();
+    matrix.compose(position, quaternion, new Vector3(1, 1, 1));
+    return !!pose.quaternion;
+}
+
+// Solve the joint values that place the tip frame of the robot at the target pose
+// without needing a scene, camera or pointer events. The tip frame may be a link,
+// joint or frame name or an object in the robot. The target pose is relative to the
+// robot root and orientation is only solved when one is given. The robot is left
+// unchanged unless "apply" is set.
+//
+// Options:
+// seed: map of joint name to starting value, defaults to the current joint values
+// maxIters: the maximum number of solver iterations per attempt
+// restarts: how many times to retry from random joint values when the solver stalls
+// lockedJoints: names of joints the solver may not move
+// jointWeights: map of joint name to relative weight, higher weights move a joint more
+// nullSpaceObjective, homePose: secondary objective for the leftover freedom, see DLSIKSolver
+// tolerance, orientationTolerance: convergence thresholds in meters and radians
+// positionWeight, orientationWeight: relative weights of the pose error
+// apply: keep the solved joint values on the robot
+//
+// Returns { jointValues, error: { position, orientation }, success, iterations } where
+// jointValues holds the joints the solver moved along with every joint set by the seed.
+// Joints with several degrees of freedom are given as arrays.
+export function solveIK(robot, tipFrame, targetPose, options = {}) {
+    const {
+        seed = null,
+        maxIters = 100,
+        lockedJoints = [],
+        jointWeights = {},
+        nullSpaceObjective = null,
+        homePose = {},
+        tolerance = 0.001,
+        orientationTolerance = 0.01,
+        positionWeight = 1.0,
+        orientationWeight = 1.0,
+        restarts = 30,
+        apply = false,
+    } = options;
+
+    const tip = typeof tipFrame === 'string' ? robot.frames[tipFrame] : tipFrame;
+    if (!tip) {
+        throw new Error(`solveIK: Could not find tip frame "${ tipFrame }".`);
+    }
+
+    // Store the current values so the robot can be restored afterwards
+    const movableJoints = Object.values(robot.joints).filter(joint => joint.jointType !== 'fixed');
+    const initialValues = movableJoints.map(joint => [...joint.jointValue]);
+
+    // Restore the robot even if solving throws so it's never left partway through a solve
+    let solved = false;
+    try {
+        if (seed) {
+            for (const name in seed) {
+                const joint = robot.joints[name];
+                if (joint) {
+                    const value = seed[name];
+                    joint.setJointValue(...(Array.isArray(value) ? value : [value]));
+                }
+            }
+        }
+
+        // Build the chain from the tip frame, skipping locked joints
+        const chain = buildIKChain(tip, true, new Set(lockedJoints));
+
+        // Move the target into world space so it can be compared against the tip frame
+        robot.updateWorldMatrix(true, true);
+        const targetMatrix = new Matrix4();
+        const hasOrientation = readPose(targetPose, targetMatrix);
+        const target = new Object3D();
+        targetMatrix.premultiply(robot.matrixWorld).decompose(target.position, target.quaternion, target.scale);
+
+        const solver = new DLSIKSolver(chain, target, tip, null);
+        solver.maxIterations = maxIters;
+        solver.maxRestarts = restarts;
+        solver.random = createRandom(1);
+        solver.tolerance = tolerance;
+        solver.orientationTolerance = orientationTolerance;
+        solver.positionWeight = positionWeight;
+        solver.orientationWeight = hasOrientation ? orientationWeight : 0;
+        solver.jointWeights = jointWeights;
+        solver.nullSpaceObjective = nullSpaceObjective;
+        solver.homePose = homePose;
+        solver.solve();
+
+        const { position, orientation } = solver.computeError();
+        const error = {
+            position: position.length(),
+            orientation: hasOrientation ? orientation.length() : 0,
+        };
+
+        // Report the seeded joints too so applying the result reproduces the solved pose
+        const jointValues = {};
+        for (const name in seed) {
+            const joint = robot.joints[name];
+            if (joint && joint.jointType !== 'fixed') {
+                jointValues[name] = joint.jointValue.length === 1 ? joint.angle : [...joint.jointValue];
+            }
+        }
+
+        solver.getDrivers().forEach(({ joint }) => {
+            jointValues[joint.name] = joint.angle;
+        });
+
+        solved = true;
+        return {
+            jointValues,
+            error,
+            success: error.position < tolerance && error.orientation < orientationTolerance,
+            iterations: solver.iterations,
+        };
+    } finally {
+        if (!apply || !solved) {
+            movableJoints.forEach((joint, i) => joint.setJointValue(...initialValues[i]));
+            robot.updateMatrixWorld(true);
+        }
+    }
+}
+
+// Small deterministic random number generator so repeated searches find the same solutions
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+// Largest joint value difference between two solutions, wrapping continuous joints
+function getSolutionDistance(robot, a, b) {
+    let distance = 0;
+    for (const name in a) {
+        if (typeof a[name] !== 'number' || typeof b[name] !== 'number') continue;
+
+        let delta = Math.abs(a[name] - b[name]);
+        if (robot.joints[name].jointType === 'continuous') {
+            delta %= 2 * Math.PI;
+            delta = Math.min(delta, 2 * Math.PI - delta);
+        }
+        distance = Math.max(distance, delta);
+    }
+    return distance;
+}
+
+// Find the distinct joint solutions, such as elbow up and down or a flipped wrist, that
+// place the tip frame at the target pose. Solves from the current joint values and from
+// random starts within the joint limits and clusters the successful results. Accepts the
+// solveIK options plus:
+//
+// seeds: the number of random starts
+// restarts: passed on to solveIK, defaults to 0 as the random starts already cover it
+// clusterDistance: solutions whose joints all differ by less than this are the same
+//
+// Returns the solveIK results of the distinct solutions, closest to the current joint values first
+export function solveIKSolutions(robot, tipFrame, targetPose, options = {}) {
+    const {
+        seeds = 16,
+        clusterDistance = 0.1,
+        restarts = 0,
+        ...solveOptions
+    } = options;
+
+    const tip = typeof tipFrame === 'string' ? robot.frames[tipFrame] : tipFrame;
+    if (!tip) {
+        throw new Error(`solveIKSolutions: Could not find tip frame "${ tipFrame }".`);
+    }
+
+    // The joints that move the tip and can be seeded
+    const drivers = new Set();
+    buildIKChain(tip, true, new Set(solveOptions.lockedJoints)).forEach(({ joint }) => {
+        const { joint: driver } = getMimicDriver(joint);
+        if (isSolvableJoint(driver)) drivers.add(driver);
+    });
+
+    const current = {};
+    drivers.forEach(joint => current[joint.name] = joint.angle);
+
+    const random = createRandom(1);
+    const starts = [solveOptions.seed || current];
+    for (let i = 0; i < seeds; i++) {
+        const start = {};
+        drivers.forEach(joint => {
+            const limits = getJointLimits(joint) || [-Math.PI, Math.PI];
+            start[joint.name] = limits[0] + random() * (limits[1] - limits[0]);
+        });
+        starts.push(start);
+    }
+
+    const solutions = [];
+    starts.forEach(seed => {
+        const result = solveIK(robot, tip, targetPose, { ...solveOptions, seed, restarts, apply: false });
+        if (!result.success) return;
+
+        const match = solutions.findIndex(s => getSolutionDistance(robot, s.jointValues, result.jointValues) < clusterDistance);
+        if (match === -1) {
+            solutions.push(result);
+        } else if (result.error.position < solutions[match].error.position) {
+            solutions[match] = result;
+        }
+    });
+
+    return solutions
+        .map(result => ({ result, distance: getSolutionDistance(robot, current, result.jointValues) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ result }) => result);
+}
+
 export class URDFIKControls {
     constructor(robot, scene, camera, domElement, viewer) {
         this.robot = robot;
@@ -319,18 +1231,439 @@ export class URDFIKControls {
         this.initialGrabPoint = new Vector3();
         this.grabOffset = new Vector3();
 
+        // The solver used for new drags, "dls" for the pose solver or "ccd" for
+        // the position only solver. The options are assigned onto each new solver.
+        this.solverType = 'dls';
+        this.solverOptions = {};
+
         // Store current active IK solver (only one at a time now)
         this.currentSolver = null;
+        this.currentChainEnd = null; // The joint the current chain was built from
         this.currentTarget = null;
         this.currentTargetVisual = null;
+        this.currentPinned = false;
+
+        // Pinned targets other than the current one, each holding its effector in place while
+        // the current target moves. Entries are { solver, target, visual, chainEnd } and are
+        // solved together with the current target by multiSolver.
+        this.anchors = [];
+        this.multiSolver = null;
+
+        // Gizmo attached to the current target. The space is "world" or "tool" and
+        // the mode is "translate" or "rotate".
+        this.transformControls = null;
+        this.gizmoSpace = 'world';
+        this.gizmoMode = 'translate';
+
+        // The tool center point frame. Used as the effector when it moves with the selected joint.
+        this.tcpFrame = null;
+
+        // A target is reachable when the solved effector is within these tolerances in meters
+        // and radians. Reachable targets with joints within limitMargin of their range from a
+        // limit are reported as near the limits.
+        this.reachTolerance = 0.005;
+        this.reachOrientationTolerance = 0.05;
+        this.limitMargin = 0.02;
+        this.lastResult = null;
+
+        // Distinct joint solutions found for the current target and the translucent copy of
+        // the robot previewing the selected one
+        this.solutions = [];
+        this.solutionIndex = -1;
+        this.ghost = null;
+        this.ghostMaterial = new MeshBasicMaterial({
+            color: 0x88ccff,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+
+        // Orientation constraint of the pose solver. "free" solves for position only, "keep"
+        // holds the target orientation, "down" points the tool z axis down along world -Z and
+        // "yaw" only holds the heading of the tool about world Z.
+        this.constraintMode = 'keep';
+
+        // Secondary objective of the pose solver for freedom the target leaves, "home",
+        // "limits", "manipulability" or null, see DLSIKSolver. The home pose maps joint
+        // names to values and defaults to zero.
+        this.nullSpaceObjective = null;
+        this.homePose = {};
+
+        // Names of joints the solvers may not move and relative joint weights by name,
+        // see setJointLocked and setJointWeight
+        this.lockedJoints = new Set();
+        this.jointWeights = {};
 
         // All movable joints that can be clicked for IK
         this.movableJoints = [];
 
         this.setupIK();
         this.setupEventListeners();
+        this.setupGizmo();
+    }
+
+    setupGizmo() {
+        const gizmo = new TransformControls(this.camera, this.domElement);
+        gizmo.setSpace(this.gizmoSpace === 'tool' ? 'local' : 'world');
+        gizmo.setMode(this.gizmoMode);
+
+        gizmo.addEventListener('change', () => {
+            if (this.viewer && this.viewer.redraw) {
+                this.viewer.redraw();
+            }
+        });
+
+        // Solve continuously while the gizmo is moved
+        gizmo.addEventListener('objectChange', () => {
+            if (this.currentTargetVisual) {
+                this.currentTargetVisual.position.copy(this.currentTarget.position);
+            }
+            this.solveCurrentTarget();
+        });
+
+        // Keep the camera still while the gizmo is dragged
+        gizmo.addEventListener('dragging-changed', e => {
+            if (this.viewer && this.viewer.controls) {
+                this.viewer.controls.enabled = !e.value;
+            }
+
+            // Show the target sphere while dragging so its color reports reachability
+            if (this.currentTargetVisual) {
+                this.currentTargetVisual.visible = e.value && this.enabled;
+            }
+
+            const effector = this.currentSolver ? this.currentSolver.effector.name : null;
+            this.dispatch(e.value ? 'manipulate-start' : 'manipulate-end', effector);
+        });
+
+        this.scene.add(gizmo);
+        this.transformControls = gizmo;
+    }
+
+    // Set the frame the gizmo axes are aligned to, "world" or "tool"
+    setGizmoSpace(space) {
+        this.gizmoSpace = space;
+        if (this.transformControls) {
+            this.transformControls.setSpace(space === 'tool' ? 'local' : 'world');
+        }
+    }
+
+    // Set whether the gizmo moves or rotates the target, "translate" or "rotate"
+    setGizmoMode(mode) {
+        this.gizmoMode = mode;
+        if (this.transformControls) {
+            this.transformControls.setMode(mode);
+        }
+    }
+
+    dispatch(type, detail) {
+        if (this.viewer) {
+            this.viewer.dispatchEvent(new CustomEvent(type, {
+                bubbles: true,
+                cancelable: true,
+                detail
+            }));
+        }
+    }
+
+    // Returns the target pose relative to the robot root or null if there is no target
+    getTargetPose() {
+        if (!this.currentTarget) return null;
+
+        this.robot.updateWorldMatrix(true, false);
+        this.currentTarget.updateMatrixWorld();
+
+        const position = new Vector3();
+        const quaternion = new Quaternion();
+        new Matrix4()
+            .copy(this.robot.matrixWorld)
+            .invert()
+            .multiply(this.currentTarget.matrixWorld)
+            .decompose(position, quaternion, new Vector3());
+        return { position, quaternion };
+    }
+
+    // Move the target to the given pose relative to the robot root and solve for it.
+    // Omitted components keep their current value.
+    setTargetPose(position = null, quaternion = null) {
+        const current = this.getTargetPose();
+        if (!current) return;
+
+        new Matrix4()
+            .compose(position || current.position, quaternion || current.quaternion, new Vector3(1, 1, 1))
+            .premultiply(this.robot.matrixWorld)
+            .decompose(this.currentTarget.position, this.currentTarget.quaternion, new Vector3());
+
+        if (this.currentTargetVisual) {
+            this.currentTargetVisual.position.copy(this.currentTarget.position);
+        }
+
+        // Jumps may be larger than a single solve covers
+        this.solveCurrentTarget(10);
+    }
+
+    // Solve for the current target, keeping a locked end effector in place, and redraw
+    solveCurrentTarget(passes = 1) {
+        if (!this.currentSolver || !this.currentTarget) return;
+
+        // Solutions found for the previous target no longer apply
+        this.clearSolutions();
+
+        const solver = this.getCombinedSolver();
+        for (let i = 0; i < passes; i++) {
+            solver.solve();
+        }
+
+        // Lock the selected joint back to its original angle (only if it's an end effector)
+        if (this.shouldLockSelectedJoint && this.selectedEffectorOriginalAngle !== null) {
+            this.selectedEffector.setJointValue(this.selectedEffectorOriginalAngle);
+        }
+
+        this.reportResult();
+        this.dispatch('ik-target-change', this.getTargetPose());
+
+        // Redraw once after solving (more efficient than per-joint)
+        if (this.viewer && this.viewer.redraw) {
+            this.viewer.redraw();
+        }
     }
     
+    // Measure how well the current solver reached its target, color the target sphere
+    // and fire an "ik-result" event with the residual and the joints at their limits
+    reportResult() {
+        const solver = this.currentSolver;
+        this.robot.updateMatrixWorld(true);
+
+        const { position, orientation } = solver.computeError();
+        const solvesOrientation = solver instanceof DLSIKSolver && solver.orientationWeight > 0;
+        const error = {
+            position: position.length(),
+            orientation: solvesOrientation ? orientation.length() : 0,
+        };
+        const reachable = error.position < this.reachTolerance && error.orientation < this.reachOrientationTolerance;
+        const saturatedJoints = getSaturatedJoints(solver.chain, this.limitMargin).map(joint => joint.name);
+
+        let status = 'unreachable';
+        if (reachable) {
+            status = saturatedJoints.length ? 'near-limits' : 'reachable';
+        }
+
+        if (this.currentTargetVisual) {
+            this.currentTargetVisual.material.color.set(REACH_COLORS[status]);
+        }
+
+        this.lastResult = { effector: solver.effector.name, status, reachable, error, saturatedJoints };
+        this.dispatch('ik-result', this.lastResult);
+        return this.lastResult;
+    }
+
+    // Returns the solver for the current target, solved together with the anchors if there are any
+    getCombinedSolver() {
+        if (this.anchors.length === 0) return this.currentSolver;
+
+        if (!this.multiSolver) {
+            // Anchors hold their pose so all targets are solved with the pose solver
+            const solvers = [this.currentSolver, ...this.anchors.map(anchor => anchor.solver)].map(solver => {
+                if (solver instanceof DLSIKSolver) return solver;
+
+                const poseSolver = new DLSIKSolver(solver.chain, solver.target, solver.effector, solver.updateCallback);
+                poseSolver.jointWeights = this.jointWeights;
+                this.applySolverSettings(poseSolver);
+                return poseSolver;
+            });
+
+            const multiSolver = new MultiTargetIKSolver(solvers, this.currentSolver.updateCallback);
+            multiSolver.jointWeights = this.jointWeights;
+            this.applySolverSettings(multiSolver);
+            Object.assign(multiSolver, this.solverOptions);
+            this.multiSolver = multiSolver;
+        }
+        return this.multiSolver;
+    }
+
+    // Search for the distinct joint solutions that reach the current target pose, see
+    // solveIKSolutions, and preview the one closest to the current joint values
+    findSolutions(options = {}) {
+        this.clearSolutions();
+        if (!this.currentSolver) return [];
+
+        // Joints outside the solver chain, such as a locked end effector, keep their values.
+        // So do the joints that move pinned effectors.
+        const drivers = new Set(this.currentSolver.chain.map(({ joint }) => getMimicDriver(joint).joint));
+        this.anchors.forEach(anchor => {
+            anchor.solver.chain.forEach(({ joint }) => drivers.delete(getMimicDriver(joint).joint));
+        });
+        const lockedJoints = this.movableJoints
+            .filter(joint => !drivers.has(joint))
+            .map(joint => joint.name);
+
+        this.solutions = solveIKSolutions(this.robot, this.currentSolver.effector, this.getTargetPose(), {
+            lockedJoints,
+            jointWeights: this.jointWeights,
+            ...options,
+        });
+
+        if (this.solutions.length) {
+            this.previewSolution(0);
+        } else {
+            this.dispatch('ik-solutions', { solutions: this.solutions, index: -1 });
+        }
+        return this.solutions;
+    }
+
+    // Pose the ghost robot at the given solution. The index wraps around so solutions can be cycled.
+    previewSolution(index) {
+        const count = this.solutions.length;
+        if (!count) return;
+
+        this.solutionIndex = ((index % count) + count) % count;
+        if (!this.ghost) {
+            this.ghost = this.createGhost();
+        }
+        this.ghost.setJointValues(this.solutions[this.solutionIndex].jointValues);
+
+        this.dispatch('ik-solutions', { solutions: this.solutions, index: this.solutionIndex });
+        if (this.viewer && this.viewer.redraw) {
+            this.viewer.redraw();
+        }
+    }
+
+    // Move the robot to the given solution, defaulting to the previewed one
+    applySolution(index = this.solutionIndex) {
+        const solution = this.solutions[index];
+        if (!solution) return;
+
+        for (const name in solution.jointValues) {
+            const joint = this.robot.joints[name];
+            joint.setJointValue(solution.jointValues[name]);
+
+            // Keep the CCD smoothing from pulling the joint back to its old value
+            if (this.currentSolver && this.currentSolver.previousAngles) {
+                this.currentSolver.previousAngles.set(joint, joint.angle);
+            }
+            notifyJointChange(joint => this.dispatch('angle-change', joint.name), joint);
+        }
+
+        this.clearSolutions();
+        if (this.viewer && this.viewer.redraw) {
+            this.viewer.redraw();
+        }
+    }
+
+    // Remove the found solutions and the ghost robot
+    clearSolutions() {
+        const hadSolutions = this.solutions.length !== 0;
+        this.solutions = [];
+        this.solutionIndex = -1;
+
+        if (this.ghost) {
+            this.ghost.removeFromParent();
+            this.ghost = null;
+        }
+
+        if (hadSolutions) {
+            this.dispatch('ik-solutions', { solutions: this.solutions, index: -1 });
+        }
+    }
+
+    // Create a translucent copy of the robot that ignores the pointer
+    createGhost() {
+        const ghost = this.robot.clone();
+        ghost.traverse(c => {
+            c.raycast = () => {};
+            if (c.isURDFCollider || c.isLine || c.isPoints) {
+                c.visible = false;
+            } else if (c.isMesh) {
+                c.material = this.ghostMaterial;
+                c.castShadow = false;
+                c.receiveShadow = false;
+            }
+        });
+        this.robot.parent.add(ghost);
+        return ghost;
+    }
+
+    // Set the orientation constraint mode, see constraintMode. The orientation the tool
+    // has now becomes the one to hold.
+    setConstraintMode(mode) {
+        this.constraintMode = mode;
+        if (!this.currentSolver) return;
+
+        this.currentSolver.effector.getWorldQuaternion(this.currentTarget.quaternion);
+        this.applySolverSettings(this.currentSolver);
+        this.multiSolver = null;
+        this.solveCurrentTarget(10);
+    }
+
+    // Configure the pose solver for the orientation constraint mode and secondary objective
+    applySolverSettings(solver) {
+        if (!(solver instanceof DLSIKSolver)) return;
+
+        // World Z is the z axis of the frame the robot is placed in, which follows the viewer up axis
+        const world = this.robot.parent || this.robot;
+        world.updateWorldMatrix(true, false);
+        const up = new Vector3(0, 0, 1).transformDirection(world.matrixWorld);
+
+        const modes = { free: 'none', keep: 'full', down: 'axis', yaw: 'yaw' };
+        solver.orientationMode = modes[this.constraintMode] || 'full';
+        solver.toolAxis.set(0, 0, 1);
+        solver.alignDirection.copy(up).negate();
+        solver.upDirection.copy(up);
+        solver.nullSpaceObjective = this.nullSpaceObjective;
+        solver.homePose = this.homePose;
+    }
+
+    // Set the secondary objective of the pose solver, see nullSpaceObjective
+    setNullSpaceObjective(objective) {
+        this.nullSpaceObjective = objective || null;
+        if (this.currentSolver) {
+            this.applySolverSettings(this.currentSolver);
+            this.multiSolver = null;
+        }
+    }
+
+    // Use the given joint values, or the current ones, as the home pose
+    setHomePose(values = null) {
+        if (!values) {
+            values = {};
+            this.movableJoints.forEach(joint => values[joint.name] = joint.angle);
+        }
+        this.homePose = { ...values };
+        if (this.currentSolver) {
+            this.applySolverSettings(this.currentSolver);
+            this.multiSolver = null;
+        }
+    }
+
+    // Lock or unlock a joint so the solvers leave it at its current value
+    setJointLocked(name, locked) {
+        if (locked) {
+            this.lockedJoints.add(name);
+        } else {
+            this.lockedJoints.delete(name);
+        }
+
+        // Rebuild the chains so the change applies to the current target and the anchors
+        if (this.currentSolver) {
+            const { joint, includeInChain } = this.currentChainEnd;
+            this.currentSolver.chain = buildIKChain(joint, includeInChain, this.lockedJoints);
+        }
+        this.anchors.forEach(({ solver, chainEnd }) => {
+            solver.chain = buildIKChain(chainEnd.joint, chainEnd.includeInChain, this.lockedJoints);
+        });
+        this.multiSolver = null;
+    }
+
+    // Set how much of the motion a joint takes up relative to the others, defaulting to 1.
+    // A weight of zero holds the joint still.
+    setJointWeight(name, weight) {
+        if (weight === 1) {
+            delete this.jointWeights[name];
+        } else {
+            this.jointWeights[name] = weight;
+        }
+    }
+
     setupIK() {
         if (!this.robot) return;
 
@@ -341,8 +1674,11 @@ export class URDFIKControls {
     // Update the robot reference when switching robots
     updateRobot(robot) {
         this.robot = robot;
-        // Clean up any existing solver from old robot
-        this.cleanupCurrentSolver();
+        // Clean up any existing targets from old robot
+        this.clearTargets();
+        this.lockedJoints.clear();
+        this.jointWeights = {};
+        this.homePose = {};
         this.selectedEffector = null;
         this.selectedEffectorOriginalAngle = null;
         this.shouldLockSelectedJoint = false;
@@ -355,36 +1691,47 @@ export class URDFIKControls {
         // Clean up any existing solver
         this.cleanupCurrentSolver();
 
-        // Calculate end point for this joint (treat it and its children as rigid body)
-        joint.endPoint = calculateEndPoint(joint);
-
         // Check if this joint has movable children
         const hasChildren = hasMovableChildren(joint);
 
         // If joint has no movable children, it's an end effector - don't include it in chain and lock its rotation
         // If joint has movable children, include it in chain so it can rotate
-        const includeInChain = hasChildren;
-        this.shouldLockSelectedJoint = !hasChildren;
+        // Prismatic end effectors such as gripper carriages are included so they slide towards the target
+        const includeInChain = hasChildren || joint.jointType === 'prismatic';
+        this.shouldLockSelectedJoint = !includeInChain;
 
         // Build IK chain from this joint back to root
-        const chain = buildIKChain(joint, includeInChain);
+        const chain = buildIKChain(joint, includeInChain, this.lockedJoints);
 
         if (chain.length === 0) {
             console.warn('No IK chain could be built for joint:', joint.name);
             return null;
         }
 
-        // Create target object at the end point
+        // Use the tool center point as the effector when it moves with this joint
+        let effector = joint;
+        if (this.tcpFrame) {
+            this.tcpFrame.traverseAncestors(ancestor => {
+                if (ancestor === joint) effector = this.tcpFrame;
+            });
+        }
+
+        // Grabbing a pinned effector again makes its target the current one, still pinned
+        const anchor = this.anchors.find(a => a.solver.effector === effector);
+        if (anchor) {
+            this.removeAnchor(anchor);
+        }
+
+        // Create target object at the effector
         const target = new Object3D();
-        const worldEndPoint = joint.endPoint.clone();
-        joint.localToWorld(worldEndPoint);
-        target.position.copy(worldEndPoint);
+        effector.getWorldPosition(target.position);
+        effector.getWorldQuaternion(target.quaternion);
         this.scene.add(target);
 
         // Create visual target sphere
         const targetGeometry = new SphereGeometry(0.01);
         const targetMaterial = new MeshBasicMaterial({
-            color: 0x00ff00,
+            color: REACH_COLORS.reachable,
             transparent: true,
             opacity: 0.8
         });
@@ -395,30 +1742,59 @@ export class URDFIKControls {
 
         // Create IK solver with callback to update UI sliders
         const updateCallback = (joint) => {
-            if (this.viewer) {
-                // Dispatch event to update sliders (don't redraw here for performance)
-                this.viewer.dispatchEvent(new CustomEvent('angle-change', {
-                    bubbles: true,
-                    cancelable: true,
-                    detail: joint.name
-                }));
-            }
+            // Dispatch event to update sliders (don't redraw here for performance)
+            this.dispatch('angle-change', joint.name);
         };
 
-        const solver = new SimpleIKSolver(chain, target, joint, updateCallback);
+        const Solver = IK_SOLVERS[this.solverType] || DLSIKSolver;
+        const solver = new Solver(chain, target, effector, updateCallback);
+        solver.jointWeights = this.jointWeights;
+        this.applySolverSettings(solver);
+        Object.assign(solver, this.solverOptions);
 
         // Store current solver
         this.currentSolver = solver;
+        this.currentChainEnd = { joint, includeInChain };
         this.currentTarget = target;
         this.currentTargetVisual = targetVisual;
+        this.currentPinned = !!anchor;
+        this.multiSolver = null;
+
+        if (this.transformControls) {
+            this.transformControls.attach(target);
+            this.transformControls.visible = this.enabled;
+        }
+        this.dispatch('ik-target-change', this.getTargetPose());
+        this.dispatch('ik-targets-change', this.getTargets());
 
         console.log(`Created IK solver for joint: ${joint.name} with ${chain.length} joints in chain`);
 
         return solver;
     }
 
-    // Clean up the current solver and its visuals
+    // Clean up the current solver and its visuals. A pinned target is kept as an anchor.
     cleanupCurrentSolver() {
+        const hadTarget = !!this.currentTarget;
+        if (this.transformControls) {
+            this.transformControls.detach();
+        }
+
+        if (this.currentPinned && this.currentSolver) {
+            const visual = this.currentTargetVisual;
+            visual.material.color.set(ANCHOR_COLOR);
+            visual.position.copy(this.currentTarget.position);
+            visual.visible = this.enabled;
+
+            this.anchors.push({
+                solver: this.currentSolver,
+                target: this.currentTarget,
+                visual,
+                chainEnd: this.currentChainEnd,
+            });
+            this.currentTarget = null;
+            this.currentTargetVisual = null;
+        }
+
         if (this.currentTarget) {
             this.scene.remove(this.currentTarget);
             this.currentTarget = null;
@@ -432,6 +1808,85 @@ export class URDFIKControls {
         }
 
         this.currentSolver = null;
+        this.currentChainEnd = null;
+        this.currentPinned = false;
+        this.multiSolver = null;
+        this.lastResult = null;
+        this.clearSolutions();
+
+        if (hadTarget) {
+            this.dispatch('ik-target-change', null);
+            this.dispatch('ik-targets-change', this.getTargets());
+        }
+    }
+
+    // Remove an anchor and its visuals
+    removeAnchor(anchor) {
+        const index = this.anchors.indexOf(anchor);
+        if (index === -1) return;
+
+        this.anchors.splice(index, 1);
+        this.scene.remove(anchor.target);
+        this.scene.remove(anchor.visual);
+        anchor.visual.geometry.dispose();
+        anchor.visual.material.dispose();
+        this.multiSolver = null;
+    }
+
+    // Release the current target and all pinned targets
+    clearTargets() {
+        const hadAnchors = this.anchors.length > 0;
+        const hadTarget = !!this.currentTarget;
+        [...this.anchors].forEach(anchor => this.removeAnchor(anchor));
+
+        this.currentPinned = false;
+        this.cleanupCurrentSolver();
+
+        if (hadAnchors && !hadTarget) {
+            this.dispatch('ik-targets-change', this.getTargets());
+        }
+    }
+
+    // Pin or unpin the current target. Once another target is grabbed a pinned target stays
+    // as an anchor that holds its effector in place.
+    setTargetPinned(pinned) {
+        if (!this.currentSolver || this.currentPinned === pinned) return;
+
+        this.currentPinned = pinned;
+        this.dispatch('ik-targets-change', this.getTargets());
+    }
+
+    // Returns the effector names of the current target and the anchors
+    getTargets() {
+        const targets = this.anchors.map(({ solver }) => ({
+            effector: solver.effector.name,
+            pinned: true,
+            current: false,
+        }));
+
+        if (this.currentSolver) {
+            targets.unshift({
+                effector: this.currentSolver.effector.name,
+                pinned: this.currentPinned,
+                current: true,
+            });
+        }
+        return targets;
+    }
+
+    // Intersect the scene, ignoring the gizmo and the target visuals
+    intersectScene() {
+        return this.raycaster
+            .intersectObject(this.scene, true)
+            .filter(hit => {
+                let object = hit.object;
+                while (object) {
+                    if (object === this.transformControls || object === this.currentTargetVisual) return false;
+                    if (this.anchors.some(anchor => anchor.visual === object)) return false;
+                    object = object.parent;
+                }
+                return true;
+            });
     }
     
     setupEventListeners() {
@@ -448,7 +1903,7 @@ export class URDFIKControls {
         if (!this.enabled || this.isDragging) return;
 
         let hoveredJoint = null;
-        const intersections = this.raycaster.intersectObject(this.scene, true);
+        const intersections = this.intersectScene();
         if (intersections.length !== 0) {
             const hit = intersections[0];
             this.hitDistance = hit.distance;
@@ -486,7 +1941,8 @@ export class URDFIKControls {
     }
     
     onMouseDown(event) {
-        if (!this.enabled) return;
+        // The gizmo handles its own drags
+        if (!this.enabled || (this.transformControls && this.transformControls.dragging)) return;
 
         this.updateMouse(event);
         this.raycaster.setFromCamera(this.mouse, this.camera);
@@ -500,7 +1956,7 @@ export class URDFIKControls {
             this.selectedEffectorOriginalAngle = this.selectedEffector.angle;
 
             // Calculate where the user actually clicked (the grab point)
-            const intersections = this.raycaster.intersectObject(this.scene, true);
+            const intersections = this.intersectScene();
             if (intersections.length > 0) {
                 this.initialGrabPoint.copy(intersections[0].point);
             }
@@ -509,10 +1965,6 @@ export class URDFIKControls {
             const solver = this.createSolverForJoint(this.selectedEffector);
 
             if (solver && this.currentTarget) {
-                // Reset initial orientation when starting to drag
-                this.selectedEffector.getWorldDirection(solver.initialOrientation);
-                solver.initialOrientation.normalize();
-
                 // Calculate offset from effector end point to grab point
                 const currentEndPoint = solver.getEffectorEndPoint();
                 this.grabOffset.subVectors(this.initialGrabPoint, currentEndPoint);
@@ -525,6 +1977,8 @@ export class URDFIKControls {
                     this.currentTargetVisual.position.copy(this.initialGrabPoint);
                     this.currentTargetVisual.visible = true;
                 }
+
+                this.dispatch('manipulate-start', solver.effector.name);
             }
 
             console.log('Started dragging joint:', this.selectedEffector.name,
@@ -558,17 +2012,7 @@ export class URDFIKControls {
                 }
 
                 // Solve IK
-                this.currentSolver.solve();
-
-                // Lock the selected joint back to its original angle (only if it's an end effector)
-                if (this.shouldLockSelectedJoint && this.selectedEffectorOriginalAngle !== null) {
-                    this.selectedEffector.setJointValue(this.selectedEffectorOriginalAngle);
-                }
-
-                // Redraw once after solving (more efficient than per-joint)
-                if (this.viewer && this.viewer.redraw) {
-                    this.viewer.redraw();
-                }
+                this.solveCurrentTarget();
             }
         } else {
             // Update hover detection
@@ -583,6 +2027,10 @@ export class URDFIKControls {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         this.update();
 
+        if (this.isDragging && this.currentSolver) {
+            this.dispatch('manipulate-end', this.currentSolver.effector.name);
+        }
+
         this.isDragging = false;
         this.selectedEffector = null;
         this.selectedEffectorOriginalAngle = null;
@@ -601,21 +2049,27 @@ export class URDFIKControls {
         if (this.currentTargetVisual) {
             this.currentTargetVisual.visible = enabled && this.isDragging;
         }
+        this.anchors.forEach(anchor => anchor.visual.visible = enabled);
+
+        if (this.transformControls) {
+            this.transformControls.enabled = enabled;
+            this.transformControls.visible = enabled && !!this.transformControls.object;
+        }
 
         if (!enabled) {
             this.isDragging = false;
             this.selectedEffector = null;
             this.selectedEffectorOriginalAngle = null;
             this.shouldLockSelectedJoint = false;
-            // Clean up solver when disabled
-            this.cleanupCurrentSolver();
+            // Clean up the targets when disabled
+            this.clearTargets();
         }
     }
 
     updateEffectorPositions() {
         // Update target position to match current effector position if active
-        if (this.currentTarget && this.selectedEffector) {
-            const worldPos = this.selectedEffector.getWorldPosition(new Vector3());
+        if (this.currentTarget && this.currentSolver) {
+            const worldPos = this.currentSolver.getEffectorEndPoint();
             this.currentTarget.position.copy(worldPos);
         }
     }
@@ -625,8 +2079,16 @@ export class URDFIKControls {
         this.domElement.removeEventListener('mousemove', this._onMouseMove);
         this.domElement.removeEventListener('mouseup', this._onMouseUp);
 
-        // Clean up current solver and visuals
-        this.cleanupCurrentSolver();
+        // Clean up the targets and visuals
+        this.clearTargets();
+
+        if (this.transformControls) {
+            this.scene.remove(this.transformControls);
+            this.transformControls.dispose();
+            this.transformControls = null;
+        }
+
+        this.ghostMaterial.dispose();
 
         this.movableJoints = [];
     }
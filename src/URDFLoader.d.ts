@@ -2,13 +2,19 @@ import { LoadingManager, Object3D } from 'three';
 import { URDFRobot } from './URDFClasses';
 
 interface MeshLoadDoneFunc {
-    (mesh: Object3D, err?: Error): void;
+    (mesh: Object3D | null, err?: Error): void;
 }
 
 interface MeshLoadFunc{
     (url: string, manager: LoadingManager, onLoad: MeshLoadDoneFunc): void;
 }
 
+export function resolvePackagePath(
+    path: string,
+    packages: string | { [key: string]: string } | ((targetPkg: string) => string),
+    workingPath?: string
+): string | null;
+
 export default class URDFLoader {
 
     manager: LoadingManager;
@@ -21,6 +27,12 @@ export default class URDFLoader {
     parseCollision: boolean;
     packages: string | { [key: string]: string } | ((targetPkg: string) => string);
     loadMeshCb: MeshLoadFunc;
+    parseXacro: boolean;
+    xacroArgs: { [key: string]: string };
+
+    static registerMeshLoader(ext: string, fn: MeshLoadFunc): void;
+    static unregisterMeshLoader(ext: string): void;
+    static getMeshLoader(ext: string): MeshLoadFunc | null;
 
     constructor(manager?: LoadingManager);
     loadAsync(urdf: string): Promise<URDFRobot>;
@@ -30,7 +42,9 @@ export default class URDFLoader {
         onProgress?: (progress?: any) => void,
         onError?: (err?: any) => void
     ): void;
-    parse(content: string | Element | Document): URDFRobot;
+    preprocess(content: string, workingPath?: string, url?: string): Promise<string | Document>;
+    expandXacro(content: string | Document, workingPath?: string): Promise<Document>;
+    parse(content: string | Element | Document, workingPath?: string): URDFRobot;
 
 }
 
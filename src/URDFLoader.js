@@ -1,7 +1,13 @@
 import * as THREE from 'three';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js';
 import { URDFRobot, URDFJoint, URDFLink, URDFCollider, URDFVisual, URDFMimicJoint } from './URDFClasses.js';
+import XacroExpander from './XacroExpander.js';
+import { validateURDF, URDFValidationReport } from './URDFValidator.js';
 
 /*
 Reference coordinate frames for THREE.js and ROS.
@@ -51,6 +57,99 @@ function applyRotation(obj, rpy, additive = false) {
 
 }
 
+// Resolves "package://" and relative paths against the provided packages
+// and working path
+export function resolvePackagePath(path, packages, workingPath) {
+
+    if (!/^package:\/\//.test(path)) {
+
+        return workingPath ? workingPath + path : path;
+
+    }
+
+    // Remove "package://" keyword and split meshPath at the first slash
+    const [targetPkg, relPath] = path.replace(/^package:\/\//, '').split(/\/(.+)/);
+
+    if (typeof packages === 'string') {
+
+        // "pkg" is one single package
+        if (packages.endsWith(targetPkg)) {
+
+            // "pkg" is the target package
+            return packages + '/' + relPath;
+
+        } else {
+
+            // Assume "pkg" is the target package's parent directory
+            return packages + '/' + targetPkg + '/' + relPath;
+
+        }
+
+    } else if (packages instanceof Function) {
+
+        return packages(targetPkg) + '/' + relPath;
+
+    } else if (typeof packages === 'object') {
+
+        // "pkg" is a map of packages
+        if (targetPkg in packages) {
+
+            return packages[targetPkg] + '/' + relPath;
+
+        } else {
+
+            console.error(`URDFLoader : ${ targetPkg } not found in provided package list.`);
+            return null;
+
+        }
+
+    }
+
+}
+
+// Returns the lower case file extension of a path, ignoring any query or hash
+function getExtension(path) {
+
+    const file = path.split(/[?#]/)[0].split('/').pop();
+    return file.includes('.') ? file.split('.').pop().toLowerCase() : '';
+
+}
+
+// Map of file extension to mesh loading function. Each function has the same
+// signature as "loadMeshCb" and must call "done" with the object or an error.
+const meshLoaders = {};
+
+function registerThreeLoader(extensions, Loader, toObject) {
+
+    extensions.forEach(ext => {
+
+        meshLoaders[ext] = (path, manager, done) => {
+
+            new Loader(manager).load(path, result => done(toObject(result)), null, err => done(null, err));
+
+        };
+
+    });
+
+}
+
+registerThreeLoader(['stl'], STLLoader, geom => new THREE.Mesh(geom, new THREE.MeshPhongMaterial()));
+registerThreeLoader(['dae'], ColladaLoader, dae => dae.scene);
+registerThreeLoader(['obj'], OBJLoader, obj => obj);
+registerThreeLoader(['gltf', 'glb'], GLTFLoader, gltf => gltf.scene);
+registerThreeLoader(['3mf'], ThreeMFLoader, group => group);
+registerThreeLoader(['ply'], PLYLoader, geom => {
+
+    if (!geom.hasAttribute('normal')) {
+
+        geom.computeVertexNormals();
+
+    }
+
+    return new THREE.Mesh(geom, new THREE.MeshPhongMaterial());
+
+});
+
 /* URDFLoader Class */
 // Loads and reads a URDF file into a THREEjs Object3D format
 export default
@@ -65,6 +164,29 @@ class URDFLoader {
         this.packages = '';
         this.workingPath = '';
         this.fetchOptions = {};
+        this.parseXacro = true;
+        this.xacroArgs = {};
+
+    }
+
+    /* Mesh Loader Registry */
+    // Registers a mesh loading function used by "defaultMeshLoader" for files
+    // with the given extension, replacing any existing handler
+    static registerMeshLoader(ext, fn) {
+
+        meshLoaders[ext.replace(/^\./, '').toLowerCase()] = fn;
+
+    }
+
+    static unregisterMeshLoader(ext) {
+
+        delete meshLoaders[ext.replace(/^\./, '').toLowerCase()];
+
+    }
+
+    static getMeshLoader(ext) {
+
+        return meshLoaders[ext.replace(/^\./, '').toLowerCase()] || null;
 
     }
 
@@ -110,6 +232,7 @@ class URDFLoader {
                 }
 
             })
+            .then(data => this.preprocess(data, this.workingPath || workingPath, urdf))
             .then(data => {
 
                 const model = this.parse(data, this.workingPath || workingPath);
@@ -135,63 +258,74 @@ class URDFLoader {
 
     }
 
-    parse(content, workingPath = this.workingPath) {
+    // Prepares the fetched file contents for "parse", returning a promise that resolves
+    // with the text or document to parse. Xacro files are expanded here. Plain URDF files
+    // with leftover xacro elements, such as includes of packages that aren't available,
+    // fall back to being parsed as they are if they can't be expanded.
+    preprocess(content, workingPath = this.workingPath, url = '') {
 
-        const packages = this.packages;
-        const loadMeshCb = this.loadMeshCb;
-        const parseVisual = this.parseVisual;
-        const parseCollision = this.parseCollision;
-        const manager = this.manager;
-        const linkMap = {};
-        const jointMap = {};
-        const materialMap = {};
+        // run xacro files through the preprocessor before parsing
+        if (this.parseXacro && XacroExpander.isXacro(content)) {
 
-        // Resolves the path of mesh files
-        function resolvePath(path) {
+            return this.expandXacro(content, workingPath)
+                .catch(e => {
 
-            if (!/^package:\/\//.test(path)) {
+                    if (/\.xacro$/i.test(url)) throw e;
 
-                return workingPath ? workingPath + path : path;
+                    console.warn(`URDFLoader: Could not expand the xacro elements in '${ url }', parsing it as plain URDF instead.`, e);
+                    return content;
 
-            }
+                });
 
-            // Remove "package://" keyword and split meshPath at the first slash
-            const [targetPkg, relPath] = path.replace(/^package:\/\//, '').split(/\/(.+)/);
+        }
 
-            if (typeof packages === 'string') {
+        return Promise.resolve(content);
 
-                // "pkg" is one single package
-                if (packages.endsWith(targetPkg)) {
+    }
 
-                    // "pkg" is the target package
-                    return packages + '/' + relPath;
+    // Expands xacro content into a plain URDF document. Includes are resolved
+    // using the same package and working path logic as meshes.
+    expandXacro(content, workingPath = this.workingPath) {
 
-                } else {
+        const expander = new XacroExpander();
+        expander.args = { ...this.xacroArgs };
+        expander.resolvePath = (path, basePath) => resolvePackagePath(path, this.packages, basePath);
+        expander.fetchText = url => {
 
-                    // Assume "pkg" is the target package's parent directory
-                    return packages + '/' + targetPkg + '/' + relPath;
+            return fetch(this.manager.resolveURL(url), this.fetchOptions)
+                .then(res => {
 
-                }
+                    if (!res.ok) {
 
-            } else if (packages instanceof Function) {
+                        throw new Error(`URDFLoader: Failed to load xacro include '${ url }' with error code ${ res.status } : ${ res.statusText }.`);
 
-                return packages(targetPkg) + '/' + relPath;
+                    }
+                    return res.text();
 
-            } else if (typeof packages === 'object') {
+                });
 
-                // "pkg" is a map of packages
-                if (targetPkg in packages) {
+        };
 
-                    return packages[targetPkg] + '/' + relPath;
+        return expander.expand(content, workingPath);
 
-                } else {
+    }
 
-                    console.error(`URDFLoader : ${ targetPkg } not found in provided package list.`);
-                    return null;
+    parse(content, workingPath = this.workingPath) {
 
-                }
+        const packages = this.packages;
+        const loadMeshCb = this.loadMeshCb;
+        const parseVisual = this.parseVisual;
+        const parseCollision = this.parseCollision;
+        const manager = this.manager;
+        const linkMap = {};
+        const jointMap = {};
+        const materialMap = {};
+        const report = new URDFValidationReport();
 
-            }
+        // Resolves the path of mesh files
+        function resolvePath(path) {
+
+            return resolvePackagePath(path, packages, workingPath);
 
         }
 
@@ -216,6 +350,12 @@ class URDFLoader {
             }
 
             const robotNode = children.filter(c => c.nodeName === 'robot').pop();
+            if (!robotNode) {
+
+                throw new Error('URDFLoader: No <robot> element found.');
+
+            }
+
             return processRobot(robotNode);
 
         }
@@ -231,6 +371,7 @@ class URDFLoader {
 
             obj.robotName = robot.getAttribute('name');
             obj.urdfRobotNode = robot;
+            obj.validation = validateURDF(robot, report);
 
             // Create the <material> map
             materials.forEach(m => {
@@ -240,14 +381,19 @@ class URDFLoader {
 
             });
 
-            // Create the <link> map
+            // Create the <link> map. If there are multiple root links only the
+            // first one is used as the robot, which is reported by the validator.
             const visualMap = {};
             const colliderMap = {};
+            let rootLink = null;
             links.forEach(l => {
 
                 const name = l.getAttribute('name');
-                const isRoot = robot.querySelector(`child[link="${ name }"]`) === null;
+                if (name in linkMap) return;
+
+                const isRoot = rootLink === null && robot.querySelector(`child[link="${ name }"]`) === null;
                 linkMap[name] = processLink(l, visualMap, colliderMap, isRoot ? obj : null);
+                if (isRoot) rootLink = linkMap[name];
 
             });
 
@@ -255,7 +401,14 @@ class URDFLoader {
             joints.forEach(j => {
 
                 const name = j.getAttribute('name');
-                jointMap[name] = processJoint(j);
+                if (name in jointMap) return;
+
+                const joint = processJoint(j);
+                if (joint) {
+
+                    jointMap[name] = joint;
+
+                }
 
             });
 
@@ -268,7 +421,8 @@ class URDFLoader {
             const jointList = Object.values(jointMap);
             jointList.forEach(j => {
 
-                if (j instanceof URDFMimicJoint) {
+                // unknown mimic targets are reported by the validator
+                if (j instanceof URDFMimicJoint && j.mimicJoint in jointMap && j.mimicJoint !== j.name) {
 
                     jointMap[j.mimicJoint].mimicJoints.push(j);
 
@@ -276,7 +430,8 @@ class URDFLoader {
 
             });
 
-            // Detect infinite loops of mimic joints
+            // Detect infinite loops of mimic joints and break them so setting
+            // joint values does not recurse forever
             jointList.forEach(j => {
 
                 const uniqueJoints = new Set();
@@ -284,20 +439,24 @@ class URDFLoader {
 
                     if (uniqueJoints.has(joint)) {
 
-                        throw new Error('URDFLoader: Detected an infinite loop of mimic joints.');
+                        return true;
 
                     }
 
                     uniqueJoints.add(joint);
-                    joint.mimicJoints.forEach(j => {
+                    return joint.mimicJoints.some(iterFunction);
 
-                        iterFunction(j);
+                };
 
-                    });
+                if (iterFunction(j)) {
 
-                };
+                    report.error('mimic-loop', `Joint "${ j.name }" is part of an infinite loop of mimic joints.`, j.urdfNode);
+
+                    const target = jointMap[j.mimicJoint];
+                    target.mimicJoints = target.mimicJoints.filter(m => m !== j);
+
+                }
 
-                iterFunction(j);
             });
 
             obj.frames = {
@@ -340,6 +499,8 @@ class URDFLoader {
 
             let parent = null;
             let child = null;
+            let parentNode = null;
+            let childNode = null;
             let xyz = [0, 0, 0];
             let rpy = [0, 0, 0];
 
@@ -354,20 +515,72 @@ class URDFLoader {
 
                 } else if (type === 'child') {
 
-                    child = linkMap[n.getAttribute('link')];
+                    childNode = n;
+                    child = linkMap[n.getAttribute('link')] || null;
 
                 } else if (type === 'parent') {
 
-                    parent = linkMap[n.getAttribute('link')];
+                    parentNode = n;
+                    parent = linkMap[n.getAttribute('link')] || null;
 
                 } else if (type === 'limit') {
 
                     obj.limit.lower = parseFloat(n.getAttribute('lower') || obj.limit.lower);
                     obj.limit.upper = parseFloat(n.getAttribute('upper') || obj.limit.upper);
+                    obj.limit.effort = parseFloat(n.getAttribute('effort') || obj.limit.effort);
+                    obj.limit.velocity = parseFloat(n.getAttribute('velocity') || obj.limit.velocity);
+
+                } else if (type === 'dynamics') {
+
+                    obj.dynamics.damping = parseFloat(n.getAttribute('damping') || obj.dynamics.damping);
+                    obj.dynamics.friction = parseFloat(n.getAttribute('friction') || obj.dynamics.friction);
+
+                } else if (type === 'safety_controller') {
+
+                    obj.safetyController = {
+                        softLowerLimit: parseFloat(n.getAttribute('soft_lower_limit') || 0),
+                        softUpperLimit: parseFloat(n.getAttribute('soft_upper_limit') || 0),
+                        kPosition: parseFloat(n.getAttribute('k_position') || 0),
+                        kVelocity: parseFloat(n.getAttribute('k_velocity') || 0),
+                    };
+
+                } else if (type === 'calibration') {
+
+                    // rising and falling are both optional so keep them null when absent
+                    const rising = n.getAttribute('rising');
+                    const falling = n.getAttribute('falling');
+                    obj.calibration = {
+                        rising: rising === null ? null : parseFloat(rising),
+                        falling: falling === null ? null : parseFloat(falling),
+                    };
 
                 }
             });
 
+            // Missing links are reported by the validator so skip the joint
+            if (!parent || !child) {
+
+                return null;
+
+            }
+
+            // Skip joints that would give a link a second parent or close a cycle
+            if (child.parent !== null) {
+
+                return null;
+
+            }
+
+            for (let curr = parent; curr; curr = curr.parent) {
+
+                if (curr === child) {
+
+                    return null;
+
+                }
+
+            }
+
             // Join the links
             parent.add(obj);
             obj.add(child);
@@ -379,9 +592,15 @@ class URDFLoader {
 
             if (axisNode) {
 
-                const axisXYZ = axisNode.getAttribute('xyz').split(/\s+/g).map(num => parseFloat(num));
-                obj.axis = new THREE.Vector3(axisXYZ[0], axisXYZ[1], axisXYZ[2]);
-                obj.axis.normalize();
+                // keep the default axis if the provided one cannot be normalized
+                const axisXYZ = processTuple(axisNode.getAttribute('xyz'));
+                const axis = new THREE.Vector3(axisXYZ[0], axisXYZ[1], axisXYZ[2]);
+                const length = axis.length();
+                if (isFinite(length) && length > 1e-12) {
+
+                    obj.axis = axis.divideScalar(length);
+
+                }
 
             }
 
@@ -403,6 +622,13 @@ class URDFLoader {
             target.urdfName = target.name;
             target.urdfNode = link;
 
+            const inertialNode = children.find(n => n.nodeName.toLowerCase() === 'inertial');
+            if (inertialNode) {
+
+                target.inertial = processInertial(inertialNode);
+
+            }
+
             if (parseVisual) {
 
                 const visualNodes = children.filter(n => n.nodeName.toLowerCase() === 'visual');
@@ -449,6 +675,54 @@ class URDFLoader {
 
         }
 
+        // Process the <inertial> node into mass, center of mass frame and inertia tensor
+        function processInertial(node) {
+
+            const children = [ ...node.children ];
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const inertia = new THREE.Matrix3().multiplyScalar(0);
+            let mass = 0;
+
+            children.forEach(n => {
+
+                const type = n.nodeName.toLowerCase();
+                if (type === 'origin') {
+
+                    const xyz = processTuple(n.getAttribute('xyz'));
+                    const rpy = processTuple(n.getAttribute('rpy'));
+
+                    position.set(xyz[0], xyz[1], xyz[2]);
+                    quaternion.setFromEuler(tempEuler.set(rpy[0], rpy[1], rpy[2], 'ZYX'));
+
+                } else if (type === 'mass') {
+
+                    mass = parseFloat(n.getAttribute('value')) || 0;
+
+                } else if (type === 'inertia') {
+
+                    const get = name => parseFloat(n.getAttribute(name)) || 0;
+                    const ixx = get('ixx');
+                    const ixy = get('ixy');
+                    const ixz = get('ixz');
+                    const iyy = get('iyy');
+                    const iyz = get('iyz');
+                    const izz = get('izz');
+
+                    inertia.set(
+                        ixx, ixy, ixz,
+                        ixy, iyy, iyz,
+                        ixz, iyz, izz,
+                    );
+
+                }
+
+            });
+
+            return { mass, position, quaternion, inertia };
+
+        }
+
         function processMaterial(node) {
 
             const matNodes = [ ...node.children ];
@@ -531,11 +805,16 @@ class URDFLoader {
                     const geoType = n.children[0].nodeName.toLowerCase();
                     if (geoType === 'mesh') {
 
-                        const filename = n.children[0].getAttribute('filename');
-                        const filePath = resolvePath(filename);
+                        const meshNode = n.children[0];
+                        const filename = meshNode.getAttribute('filename');
+                        const filePath = filename ? resolvePath(filename) : null;
 
                         // file path is null if a package directory is not provided.
-                        if (filePath !== null) {
+                        if (filename && filePath === null) {
+
+                            report.error('missing-mesh', `Could not resolve the package for mesh "${ filename }".`, meshNode);
+
+                        } else if (filePath !== null) {
 
                             const scaleAttr = n.children[0].getAttribute('scale');
                             if (scaleAttr) {
@@ -545,11 +824,12 @@ class URDFLoader {
 
                             }
 
+                            group.meshPath = filePath;
                             loadMeshCb(filePath, manager, (obj, err) => {
 
                                 if (err) {
 
-                                    console.error('URDFLoader: Error loading mesh.', err);
+                                    report.error('missing-mesh', `Failed to load mesh "${ filePath }": ${ err.message || err }`, meshNode);
 
                                 } else if (obj) {
 
@@ -630,25 +910,17 @@ class URDFLoader {
 
     }
 
-    // Default mesh loading function
+    // Default mesh loading function, dispatches to the registered mesh loaders
     defaultMeshLoader(path, manager, done) {
 
-        if (/\.stl$/i.test(path)) {
-
-            const loader = new STLLoader(manager);
-            loader.load(path, geom => {
-                const mesh = new THREE.Mesh(geom, new THREE.MeshPhongMaterial());
-                done(mesh);
-            });
-
-        } else if (/\.dae$/i.test(path)) {
+        const ext = getExtension(path);
+        if (ext in meshLoaders) {
 
-            const loader = new ColladaLoader(manager);
-            loader.load(path, dae => done(dae.scene));
+            meshLoaders[ext](path, manager, done);
 
         } else {
 
-            console.warn(`URDFLoader: Could not load model at ${ path }.\nNo loader available`);
+            done(null, new Error(`URDFLoader: Could not load model at ${ path }. No loader registered for "${ ext }" files.`));
 
         }
 
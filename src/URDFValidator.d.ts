@@ -0,0 +1,22 @@
+export interface URDFValidationIssue {
+
+    severity: 'error' | 'warning';
+    code: string;
+    message: string;
+    path: string;
+
+}
+
+export class URDFValidationReport {
+
+    errors: URDFValidationIssue[];
+    warnings: URDFValidationIssue[];
+    readonly valid: boolean;
+
+    error(code: string, message: string, node?: Element | null): void;
+    warn(code: string, message: string, node?: Element | null): void;
+
+}
+
+export function getElementPath(node: Element): string;
+export function validateURDF(robot: Element, report?: URDFValidationReport): URDFValidationReport;
@@ -0,0 +1,278 @@
+const JOINT_TYPES = ['fixed', 'continuous', 'revolute', 'planar', 'prismatic', 'floating'];
+
+// Returns an xpath-like description of where the element lives in the document,
+// eg robot[@name="arm"]/joint[@name="joint1"]/axis
+export function getElementPath(node) {
+
+    const segments = [];
+    let curr = node;
+    while (curr && curr.nodeType === 1) {
+
+        const tag = curr.nodeName;
+        const name = curr.getAttribute('name');
+        if (name !== null) {
+
+            segments.unshift(`${ tag }[@name="${ name }"]`);
+
+        } else {
+
+            const parent = curr.parentNode;
+            const siblings = parent && parent.children ? [ ...parent.children ].filter(c => c.nodeName === tag) : [];
+            segments.unshift(siblings.length > 1 ? `${ tag }[${ siblings.indexOf(curr) + 1 }]` : tag);
+
+        }
+
+        curr = curr.parentNode;
+
+    }
+
+    return segments.join('/');
+
+}
+
+function childrenByName(node, name) {
+
+    return [ ...node.children ].filter(c => c.nodeName.toLowerCase() === name);
+
+}
+
+/* URDFValidationReport Class */
+// Collects errors and warnings along with the path to the offending element
+export class URDFValidationReport {
+
+    constructor() {
+
+        this.errors = [];
+        this.warnings = [];
+
+    }
+
+    get valid() {
+
+        return this.errors.length === 0;
+
+    }
+
+    error(code, message, node = null) {
+
+        this.errors.push({ severity: 'error', code, message, path: node ? getElementPath(node) : '' });
+
+    }
+
+    warn(code, message, node = null) {
+
+        this.warnings.push({ severity: 'warning', code, message, path: node ? getElementPath(node) : '' });
+
+    }
+
+}
+
+// Statically validates the structure of a <robot> node
+export function validateURDF(robot, report = new URDFValidationReport()) {
+
+    if (!robot) {
+
+        report.error('missing-robot', 'No <robot> element found.');
+        return report;
+
+    }
+
+    const links = childrenByName(robot, 'link');
+    const joints = childrenByName(robot, 'joint');
+    const materials = childrenByName(robot, 'material');
+
+    // Duplicate names
+    const checkDuplicates = (nodes, type, asError) => {
+
+        const seen = new Set();
+        nodes.forEach(n => {
+
+            const name = n.getAttribute('name');
+            if (!name) {
+
+                report.error('missing-name', `A <${ type }> element is missing its name.`, n);
+
+            } else if (seen.has(name)) {
+
+                const message = `Duplicate ${ type } name "${ name }".`;
+                if (asError) report.error(`duplicate-${ type }`, message, n);
+                else report.warn(`duplicate-${ type }`, message, n);
+
+            }
+
+            seen.add(name);
+
+        });
+
+        return seen;
+
+    };
+
+    const linkNames = checkDuplicates(links, 'link', true);
+    const jointNames = checkDuplicates(joints, 'joint', true);
+    checkDuplicates(materials, 'material', false);
+
+    // Joints and the link tree they form
+    const parentOf = {};
+    joints.forEach(j => {
+
+        const name = j.getAttribute('name');
+        const type = j.getAttribute('type');
+        if (!JOINT_TYPES.includes(type)) {
+
+            report.error('invalid-joint-type', `Joint "${ name }" has unknown type "${ type }".`, j);
+
+        }
+
+        const parentNode = childrenByName(j, 'parent')[0];
+        const childNode = childrenByName(j, 'child')[0];
+        const parent = parentNode && parentNode.getAttribute('link');
+        const child = childNode && childNode.getAttribute('link');
+
+        if (!parent || !linkNames.has(parent)) {
+
+            report.error('missing-link', `Joint "${ name }" references missing parent link "${ parent || '' }".`, parentNode || j);
+
+        }
+
+        if (!child || !linkNames.has(child)) {
+
+            report.error('missing-link', `Joint "${ name }" references missing child link "${ child || '' }".`, childNode || j);
+
+        }
+
+        if (parent && child && linkNames.has(parent) && linkNames.has(child)) {
+
+            if (child in parentOf) {
+
+                report.error('multiple-parents', `Link "${ child }" is the child of both joint "${ parentOf[child].joint }" and joint "${ name }".`, childNode);
+
+            } else {
+
+                parentOf[child] = { link: parent, joint: name };
+
+            }
+
+        }
+
+        // Axis, ignored for fixed joints
+        const axisNode = childrenByName(j, 'axis')[0];
+        if (axisNode && type !== 'fixed') {
+
+            const xyz = (axisNode.getAttribute('xyz') || '').trim().split(/\s+/g).map(v => parseFloat(v));
+            const length = Math.hypot(...xyz);
+            if (xyz.length !== 3 || xyz.some(v => !isFinite(v)) || length < 1e-12) {
+
+                report.error('invalid-axis', `Joint "${ name }" has an axis "${ axisNode.getAttribute('xyz') }" that cannot be normalized.`, axisNode);
+
+            }
+
+        }
+
+        // Limits
+        const limitNode = childrenByName(j, 'limit')[0];
+        if (limitNode) {
+
+            const lower = parseFloat(limitNode.getAttribute('lower') || 0);
+            const upper = parseFloat(limitNode.getAttribute('upper') || 0);
+            if (lower > upper) {
+
+                report.error('invalid-limits', `Joint "${ name }" has a lower limit ${ lower } greater than its upper limit ${ upper }.`, limitNode);
+
+            }
+
+        } else if (type === 'revolute' || type === 'prismatic') {
+
+            report.warn('missing-limits', `Joint "${ name }" of type "${ type }" has no <limit> element.`, j);
+
+        }
+
+        // Mimic
+        const mimicNode = childrenByName(j, 'mimic')[0];
+        if (mimicNode) {
+
+            const target = mimicNode.getAttribute('joint');
+            if (target === name) {
+
+                report.error('invalid-mimic', `Joint "${ name }" mimics itself.`, mimicNode);
+
+            } else if (!jointNames.has(target)) {
+
+                report.error('unknown-mimic-target', `Joint "${ name }" mimics unknown joint "${ target }".`, mimicNode);
+
+            }
+
+        }
+
+    });
+
+    // Cycles: walk up the parent chain from every link
+    const reported = new Set();
+    linkNames.forEach(name => {
+
+        const visited = [];
+        let curr = name;
+        while (curr in parentOf) {
+
+            visited.push(curr);
+            curr = parentOf[curr].link;
+            if (visited.includes(curr)) {
+
+                const cycle = visited.slice(visited.indexOf(curr));
+                const key = [ ...cycle ].sort().join(',');
+                if (!reported.has(key)) {
+
+                    reported.add(key);
+                    const jointName = parentOf[curr].joint;
+                    const node = joints.find(j => j.getAttribute('name') === jointName);
+                    report.error('cycle', `Links ${ cycle.map(c => `"${ c }"`).join(', ') } form a cycle.`, node);
+
+                }
+
+                break;
+
+            }
+
+        }
+
+    });
+
+    // Root links
+    const roots = links.filter(l => !(l.getAttribute('name') in parentOf));
+    if (links.length === 0) {
+
+        report.error('no-links', 'The robot has no links.', robot);
+
+    } else if (roots.length === 0) {
+
+        report.error('no-root', 'The robot has no root link.', robot);
+
+    } else if (roots.length > 1) {
+
+        const names = roots.map(r => `"${ r.getAttribute('name') }"`).join(', ');
+        report.warn('multiple-roots', `Found multiple root links ${ names }, using "${ roots[0].getAttribute('name') }".`, roots[1]);
+
+    }
+
+    // Geometry
+    links.forEach(l => {
+
+        [ ...childrenByName(l, 'visual'), ...childrenByName(l, 'collision') ].forEach(el => {
+
+            el.querySelectorAll('geometry > mesh').forEach(mesh => {
+
+                if (!mesh.getAttribute('filename')) {
+
+                    report.error('missing-mesh', 'Mesh element is missing the "filename" attribute.', mesh);
+
+                }
+
+            });
+
+        });
+
+    });
+
+    return report;
+
+}
@@ -0,0 +1,17 @@
+import { URDFRobot } from './URDFClasses';
+
+export default class URDFWriter {
+
+    // options
+    packageRoot: string;
+    packageName: string;
+    writeCollision: boolean;
+    preserveUnknownElements: boolean;
+
+    constructor();
+    parse(robot: URDFRobot): string;
+    format(node: Element, indent?: string): string;
+
+    static download(content: string, filename?: string): void;
+
+}
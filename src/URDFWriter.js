@@ -0,0 +1,495 @@
+import * as THREE from 'three';
+import { URDFMimicJoint } from './URDFClasses.js';
+
+const tempMatrix = new THREE.Matrix4();
+const tempChildMatrix = new THREE.Matrix4();
+const tempPosition = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const tempScale = new THREE.Vector3();
+const tempEuler = new THREE.Euler();
+const unitScale = new THREE.Vector3(1, 1, 1);
+
+// The loaders rotate cylinder and capsule primitives so their length runs along z
+const cylinderRotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(Math.PI / 2, 0, 0));
+const cylinderRotationInverse = cylinderRotation.clone().invert();
+
+// Formats a number without floating point noise
+function formatNumber(v) {
+
+    const res = parseFloat(v.toFixed(9));
+    return Object.is(res, -0) ? '0' : String(res);
+
+}
+
+function formatTuple(values) {
+
+    return values.map(formatNumber).join(' ');
+
+}
+
+function escapeAttribute(v) {
+
+    return String(v)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+}
+
+// Returns the "xyz" and "rpy" strings of a transform in URDF order
+function getOrigin(position, quaternion) {
+
+    tempEuler.setFromQuaternion(quaternion, 'ZYX');
+    return {
+        xyz: formatTuple([position.x, position.y, position.z]),
+        rpy: formatTuple([tempEuler.x, tempEuler.y, tempEuler.z]),
+    };
+
+}
+
+function isZero(values) {
+
+    return values.every(v => Math.abs(v) < 1e-12);
+
+}
+
+/* URDFWriter Class */
+// Serializes a URDFRobot back into URDF xml
+export default
+class URDFWriter {
+
+    constructor() {
+
+        // Mesh paths that start with the package root are written relative to it, as
+        // "package://<packageName>/..." urls if a package name is provided.
+        this.packageRoot = '';
+        this.packageName = '';
+        this.writeCollision = true;
+
+        // Whether to copy <transmission>, <gazebo> and other elements the loader
+        // does not process from the original robot node
+        this.preserveUnknownElements = true;
+
+    }
+
+    parse(robot) {
+
+        const doc = document.implementation.createDocument(null, null, null);
+        const materialNames = new Map();
+        const materialNodes = [];
+
+        const packageRoot = this.packageRoot.replace(/\/+$/, '');
+        const packageName = this.packageName;
+        const writeCollision = this.writeCollision;
+
+        // Creates an element, copying the attributes of the original node if
+        // it was parsed from an element of the same type
+        function createElement(name, source = null, attributes = {}) {
+
+            const el = doc.createElement(name);
+            if (source && source.nodeName === name) {
+
+                [ ...source.attributes ].forEach(a => el.setAttribute(a.name, a.value));
+
+            }
+
+            for (const key in attributes) {
+
+                el.setAttribute(key, attributes[key]);
+
+            }
+
+            return el;
+
+        }
+
+        function appendChild(parent, name, attributes = {}) {
+
+            const el = createElement(name, null, attributes);
+            parent.appendChild(el);
+            return el;
+
+        }
+
+        function getMeshFilename(visual) {
+
+            const path = visual.meshPath;
+            if (packageRoot && path.startsWith(packageRoot + '/')) {
+
+                const relPath = path.substr(packageRoot.length + 1);
+                return packageName ? `package://${ packageName }/${ relPath }` : relPath;
+
+            }
+
+            // keep the path as originally written in the urdf if possible
+            const meshNode = visual.urdfNode && visual.urdfNode.querySelector('geometry > mesh');
+            if (meshNode && meshNode.hasAttribute('filename')) {
+
+                return meshNode.getAttribute('filename');
+
+            }
+
+            return path;
+
+        }
+
+        // Returns the name of the top level material matching the given one,
+        // registering a new one if needed
+        function getMaterialName(material, sourceNode) {
+
+            const { r, g, b } = material.color || new THREE.Color(1, 1, 1);
+            const rgba = formatTuple([r, g, b, material.opacity === undefined ? 1 : material.opacity]);
+            const texture = sourceNode && sourceNode.querySelector('texture[filename]');
+            const filename = texture ? texture.getAttribute('filename') : null;
+
+            const baseName = material.name || (sourceNode && sourceNode.getAttribute('name')) || 'material';
+            const key = `${ baseName }|${ rgba }|${ filename }`;
+            if (materialNames.has(key)) {
+
+                return materialNames.get(key);
+
+            }
+
+            // make sure differing materials that share a name are written uniquely
+            const usedNames = new Set(materialNames.values());
+            let name = baseName;
+            for (let i = 2; usedNames.has(name); i++) {
+
+                name = `${ baseName }_${ i }`;
+
+            }
+
+            const node = createElement('material', null, { name });
+            appendChild(node, 'color', { rgba });
+            if (filename) {
+
+                appendChild(node, 'texture', { filename });
+
+            }
+
+            materialNames.set(key, name);
+            materialNodes.push(node);
+            return name;
+
+        }
+
+        function processGeometry(visual, el) {
+
+            const geometryNode = appendChild(el, 'geometry');
+            if (visual.meshPath) {
+
+                const mesh = appendChild(geometryNode, 'mesh', { filename: getMeshFilename(visual) });
+                if (!visual.scale.equals(unitScale)) {
+
+                    mesh.setAttribute('scale', formatTuple(visual.scale.toArray()));
+
+                }
+
+                tempMatrix.compose(visual.position, visual.quaternion, unitScale);
+                return true;
+
+            }
+
+            const primitive = visual.children.find(c => c.isMesh && c.geometry && c.geometry.parameters);
+            if (!primitive) {
+
+                return false;
+
+            }
+
+            const params = primitive.geometry.parameters;
+            const scale = primitive.scale;
+            tempQuaternion.copy(primitive.quaternion);
+
+            switch (primitive.geometry.type) {
+
+                case 'BoxGeometry':
+                    appendChild(geometryNode, 'box', {
+                        size: formatTuple([params.width * scale.x, params.height * scale.y, params.depth * scale.z]),
+                    });
+                    break;
+
+                case 'SphereGeometry':
+                    if (Math.abs(scale.x - scale.y) > 1e-9 || Math.abs(scale.x - scale.z) > 1e-9) {
+
+                        console.warn(`URDFWriter: Ellipsoid in "${ visual.parent.name }" is not supported and will be written as a sphere.`);
+
+                    }
+
+                    appendChild(geometryNode, 'sphere', { radius: formatNumber(params.radius * Math.max(scale.x, scale.y, scale.z)) });
+                    break;
+
+                case 'CylinderGeometry':
+                    appendChild(geometryNode, 'cylinder', {
+                        radius: formatNumber(params.radiusTop * scale.x),
+                        length: formatNumber(params.height * scale.y),
+                    });
+                    tempQuaternion.multiply(cylinderRotationInverse);
+                    break;
+
+                case 'CapsuleGeometry':
+                    console.warn(`URDFWriter: Capsule in "${ visual.parent.name }" is not supported and will be written as a cylinder.`);
+                    appendChild(geometryNode, 'cylinder', {
+                        radius: formatNumber(params.radius * scale.x),
+                        length: formatNumber((params.length + 2 * params.radius) * scale.y),
+                    });
+                    tempQuaternion.multiply(cylinderRotationInverse);
+                    break;
+
+                default:
+                    return false;
+
+            }
+
+            // fold the primitive's own transform into the origin
+            tempMatrix.compose(visual.position, visual.quaternion, unitScale);
+            tempChildMatrix.compose(primitive.position, tempQuaternion, unitScale);
+            tempMatrix.multiply(tempChildMatrix);
+            return true;
+
+        }
+
+        function processVisual(visual) {
+
+            const isCollider = visual.isURDFCollider;
+            const el = createElement(isCollider ? 'collision' : 'visual', visual.urdfNode);
+            if (visual.urdfName && !el.hasAttribute('name')) {
+
+                el.setAttribute('name', visual.urdfName);
+
+            }
+
+            const origin = appendChild(el, 'origin');
+            if (!processGeometry(visual, el)) {
+
+                return null;
+
+            }
+
+            tempMatrix.decompose(tempPosition, tempQuaternion, tempScale);
+            const { xyz, rpy } = getOrigin(tempPosition, tempQuaternion);
+            origin.setAttribute('xyz', xyz);
+            origin.setAttribute('rpy', rpy);
+
+            // Loaded meshes keep their own materials unless the urdf specified one
+            const sourceNode = visual.urdfNode;
+            const sourceMaterial = sourceNode && [ ...sourceNode.children ].find(c => c.nodeName === 'material');
+            const isURDFNode = sourceNode && sourceNode.nodeName === 'visual';
+            const mesh = visual.children.find(c => c.isMesh);
+            if (!isCollider && mesh && !Array.isArray(mesh.material) && (sourceMaterial || !isURDFNode)) {
+
+                const globalMaterial = sourceMaterial && !sourceMaterial.children.length && sourceMaterial.getAttribute('name');
+                const materialNode = globalMaterial ?
+                    [ ...sourceNode.ownerDocument.documentElement.children ]
+                        .find(c => c.nodeName === 'material' && c.getAttribute('name') === globalMaterial) :
+                    sourceMaterial;
+
+                appendChild(el, 'material', { name: getMaterialName(mesh.material, materialNode) });
+
+            }
+
+            return el;
+
+        }
+
+        function processLink(link) {
+
+            const el = createElement('link', link.urdfNode, { name: link.urdfName || link.name });
+
+            if (link.inertial) {
+
+                const { mass, position, quaternion, inertia } = link.inertial;
+                const inertial = appendChild(el, 'inertial');
+                appendChild(inertial, 'origin', getOrigin(position, quaternion));
+                appendChild(inertial, 'mass', { value: formatNumber(mass) });
+
+                const e = inertia.elements;
+                appendChild(inertial, 'inertia', {
+                    ixx: formatNumber(e[0]),
+                    ixy: formatNumber(e[3]),
+                    ixz: formatNumber(e[6]),
+                    iyy: formatNumber(e[4]),
+                    iyz: formatNumber(e[7]),
+                    izz: formatNumber(e[8]),
+                });
+
+            }
+
+            link.children.forEach(c => {
+
+                if (c.isURDFVisual || (c.isURDFCollider && writeCollision)) {
+
+                    const visual = processVisual(c);
+                    if (visual) el.appendChild(visual);
+
+                }
+
+            });
+
+            return el;
+
+        }
+
+        function processJoint(joint) {
+
+            let type = joint.jointType;
+            if (type === 'ball') {
+
+                console.warn(`URDFWriter: Ball joint "${ joint.name }" is not supported by URDF and will be written as fixed.`);
+                type = 'fixed';
+
+            }
+
+            const el = createElement('joint', joint.urdfNode, { name: joint.urdfName || joint.name, type });
+            const child = joint.children.find(c => c.isURDFLink);
+
+            appendChild(el, 'origin', getOrigin(joint.origPosition || joint.position, joint.origQuaternion || joint.quaternion));
+            appendChild(el, 'parent', { link: joint.parent.urdfName || joint.parent.name });
+            appendChild(el, 'child', { link: child.urdfName || child.name });
+
+            if (type !== 'fixed' && type !== 'floating') {
+
+                appendChild(el, 'axis', { xyz: formatTuple(joint.axis.toArray()) });
+
+            }
+
+            const { lower, upper, effort, velocity } = joint.limit;
+            if (type === 'revolute' || type === 'prismatic') {
+
+                appendChild(el, 'limit', {
+                    lower: formatNumber(lower),
+                    upper: formatNumber(upper),
+                    effort: formatNumber(effort),
+                    velocity: formatNumber(velocity),
+                });
+
+            } else if (type === 'continuous' && !isZero([effort, velocity])) {
+
+                appendChild(el, 'limit', { effort: formatNumber(effort), velocity: formatNumber(velocity) });
+
+            }
+
+            const { damping, friction } = joint.dynamics;
+            if (!isZero([damping, friction])) {
+
+                appendChild(el, 'dynamics', { damping: formatNumber(damping), friction: formatNumber(friction) });
+
+            }
+
+            if (joint.safetyController) {
+
+                const { softLowerLimit, softUpperLimit, kPosition, kVelocity } = joint.safetyController;
+                appendChild(el, 'safety_controller', {
+                    soft_lower_limit: formatNumber(softLowerLimit),
+                    soft_upper_limit: formatNumber(softUpperLimit),
+                    k_position: formatNumber(kPosition),
+                    k_velocity: formatNumber(kVelocity),
+                });
+
+            }
+
+            if (joint.calibration) {
+
+                const calibration = appendChild(el, 'calibration');
+                if (joint.calibration.rising !== null) calibration.setAttribute('rising', formatNumber(joint.calibration.rising));
+                if (joint.calibration.falling !== null) calibration.setAttribute('falling', formatNumber(joint.calibration.falling));
+
+            }
+
+            if (joint instanceof URDFMimicJoint) {
+
+                appendChild(el, 'mimic', {
+                    joint: joint.mimicJoint,
+                    multiplier: formatNumber(joint.multiplier),
+                    offset: formatNumber(joint.offset),
+                });
+
+            }
+
+            return el;
+
+        }
+
+        // Collect the links and joints in tree order
+        const robotNode = createElement('robot', robot.urdfRobotNode, { name: robot.robotName || robot.name || 'robot' });
+        const linkNodes = [];
+        const jointNodes = [];
+        robot.traverse(c => {
+
+            if (c.isURDFLink) {
+
+                linkNodes.push(processLink(c));
+
+            } else if (c.isURDFJoint && c.parent && c.children.some(l => l.isURDFLink)) {
+
+                jointNodes.push(processJoint(c));
+
+            }
+
+        });
+
+        [ ...materialNodes, ...linkNodes, ...jointNodes ].forEach(n => robotNode.appendChild(n));
+
+        const sourceRobot = robot.urdfRobotNode;
+        if (this.preserveUnknownElements && sourceRobot && sourceRobot.nodeName === 'robot') {
+
+            [ ...sourceRobot.children ]
+                .filter(c => ![ 'link', 'joint', 'material' ].includes(c.nodeName.toLowerCase()))
+                .forEach(c => robotNode.appendChild(doc.importNode(c, true)));
+
+        }
+
+        return '<?xml version="1.0"?>\n' + this.format(robotNode);
+
+    }
+
+    // Serializes the node into indented xml
+    format(node, indent = '') {
+
+        const attributes = [ ...node.attributes ].map(a => ` ${ a.name }="${ escapeAttribute(a.value) }"`).join('');
+        const children = [ ...node.childNodes ].filter(c => c.nodeType === 1 || (c.nodeType === 3 && c.nodeValue.trim()));
+
+        if (children.length === 0) {
+
+            return `${ indent }<${ node.nodeName }${ attributes }/>\n`;
+
+        } else if (children.every(c => c.nodeType === 3)) {
+
+            const text = children.map(c => c.nodeValue.trim()).join(' ');
+            return `${ indent }<${ node.nodeName }${ attributes }>${ escapeAttribute(text) }</${ node.nodeName }>\n`;
+
+        }
+
+        let res = `${ indent }<${ node.nodeName }${ attributes }>\n`;
+        children.forEach(c => {
+
+            if (c.nodeType === 1) {
+
+                res += this.format(c, indent + '  ');
+
+            } else {
+
+                res += `${ indent }  ${ escapeAttribute(c.nodeValue.trim()) }\n`;
+
+            }
+
+        });
+        res += `${ indent }</${ node.nodeName }>\n`;
+        return res;
+
+    }
+
+    static download(content, filename = 'robot.urdf') {
+
+        const blob = new Blob([content], { type: 'application/xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+    }
+
+}
@@ -0,0 +1,12 @@
+export default class XacroExpander {
+
+    args: { [key: string]: string };
+    resolvePath: (path: string, workingPath: string) => string | null;
+    fetchText: (url: string) => Promise<string>;
+
+    static isXacro(content: string | Element | Document): boolean;
+
+    constructor();
+    expand(content: string | Document, workingPath?: string): Promise<Document>;
+
+}
@@ -0,0 +1,1118 @@
+const XACRO_NS = 'http://www.ros.org/wiki/xacro';
+
+/*
+Small in-browser implementation of the xacro preprocessor. Supports
+properties (including property blocks), args, macros with default, forwarded
+and block parameters, includes, conditionals, ${} expressions, the $(arg),
+$(find), $(optenv) and $(eval) substitutions and xacro:element /
+xacro:attribute. Expressions are evaluated with a Python-like grammar
+without ever handing the text to the JS engine.
+*/
+
+// Functions and constants available to ${} expressions
+const math = {
+    pi: Math.PI,
+    e: Math.E,
+    inf: Infinity,
+    nan: NaN,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    log: (x, base) => base === undefined ? Math.log(x) : Math.log(x) / Math.log(base),
+    log10: Math.log10,
+    pow: Math.pow,
+    fabs: Math.abs,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    hypot: Math.hypot,
+    radians: x => x * Math.PI / 180,
+    degrees: x => x * 180 / Math.PI,
+};
+
+const builtins = {
+    ...math,
+    math,
+    True: true,
+    False: false,
+    None: null,
+    abs: Math.abs,
+    min: (...args) => Math.min(...(args.length === 1 ? args[0] : args)),
+    max: (...args) => Math.max(...(args.length === 1 ? args[0] : args)),
+    round: (x, n = 0) => Math.round(x * 10 ** n) / 10 ** n,
+    int: x => Math.trunc(typeof x === 'string' ? parseFloat(x) : x),
+    float: x => typeof x === 'string' ? parseFloat(x) : Number(x),
+    str: x => toText(x),
+    bool: x => toBool(x),
+    len: x => x.length,
+};
+
+// Converts an evaluated value back to the text that ends up in the document
+function toText(value) {
+
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (value === null || value === undefined) return 'None';
+    if (Array.isArray(value)) return '[' + value.map(toText).join(', ') + ']';
+    return String(value);
+
+}
+
+function toBool(value) {
+
+    if (typeof value === 'string') {
+
+        const v = value.trim();
+        if (v === 'true' || v === 'True' || v === '1') return true;
+        if (v === 'false' || v === 'False' || v === '0' || v === '') return false;
+        const num = parseFloat(v);
+        if (!isNaN(num) && String(num) === v) return num !== 0;
+        throw new Error(`XacroExpander: Could not convert "${ value }" to a boolean.`);
+
+    }
+
+    return !!value;
+
+}
+
+// Numeric looking strings are treated as numbers, mirroring xacro's literal evaluation
+function toLiteral(value) {
+
+    if (typeof value !== 'string') return value;
+
+    const v = value.trim();
+    if (v !== '' && !isNaN(Number(v))) return Number(v);
+    if (v === 'true' || v === 'True') return true;
+    if (v === 'false' || v === 'False') return false;
+    return value;
+
+}
+
+/* Expressions */
+function tokenize(text) {
+
+    const tokens = [];
+    const re = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_]\w*)|(\*\*|\/\/|==|!=|<=|>=|[-+*/%<>()[\],.]))/y;
+    let index = 0;
+    while (index < text.length) {
+
+        if (/^\s*$/.test(text.slice(index))) break;
+
+        re.lastIndex = index;
+        const match = re.exec(text);
+        if (!match) {
+
+            throw new Error(`XacroExpander: Unexpected character in expression "${ text }".`);
+
+        }
+
+        index = re.lastIndex;
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+        else tokens.push({ type: 'op', value: match[4] });
+
+    }
+
+    return tokens;
+
+}
+
+// Recursive descent parser producing a small AST following Python precedence
+function parseExpression(text) {
+
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+    const isKeyword = value => peek() && peek().type === 'name' && peek().value === value;
+    const expectOp = value => {
+
+        if (!isOp(value)) throw new Error(`XacroExpander: Expected "${ value }" in expression "${ text }".`);
+        pos++;
+
+    };
+
+    function parseTernary() {
+
+        const node = parseOr();
+        if (isKeyword('if')) {
+
+            pos++;
+            const test = parseOr();
+            if (!isKeyword('else')) throw new Error(`XacroExpander: Expected "else" in expression "${ text }".`);
+            pos++;
+            return { type: 'if', test, consequent: node, alternate: parseTernary() };
+
+        }
+
+        return node;
+
+    }
+
+    function parseOr() {
+
+        let node = parseAnd();
+        while (isKeyword('or')) {
+
+            pos++;
+            node = { type: 'or', left: node, right: parseAnd() };
+
+        }
+
+        return node;
+
+    }
+
+    function parseAnd() {
+
+        let node = parseNot();
+        while (isKeyword('and')) {
+
+            pos++;
+            node = { type: 'and', left: node, right: parseNot() };
+
+        }
+
+        return node;
+
+    }
+
+    function parseNot() {
+
+        if (isKeyword('not')) {
+
+            pos++;
+            return { type: 'not', argument: parseNot() };
+
+        }
+
+        return parseComparison();
+
+    }
+
+    function parseComparison() {
+
+        const first = parseAdditive();
+        const comparisons = [];
+        let left = first;
+        while (true) {
+
+            let op = null;
+            if (peek() && peek().type === 'op' && [ '==', '!=', '<', '>', '<=', '>=' ].includes(peek().value)) {
+
+                op = tokens[pos++].value;
+
+            } else if (isKeyword('in')) {
+
+                pos++;
+                op = 'in';
+
+            } else if (isKeyword('not') && tokens[pos + 1] && tokens[pos + 1].value === 'in') {
+
+                pos += 2;
+                op = 'not in';
+
+            } else {
+
+                break;
+
+            }
+
+            const right = parseAdditive();
+            comparisons.push({ type: 'compare', op, left, right });
+            left = right;
+
+        }
+
+        // chained comparisons like "a < b < c" are joined with "and"
+        return comparisons.length === 0
+            ? first
+            : comparisons.reduce((acc, c) => acc ? { type: 'and', left: acc, right: c } : c, null);
+
+    }
+
+    function parseAdditive() {
+
+        let node = parseMultiplicative();
+        while (isOp('+') || isOp('-')) {
+
+            const op = tokens[pos++].value;
+            node = { type: 'binary', op, left: node, right: parseMultiplicative() };
+
+        }
+
+        return node;
+
+    }
+
+    function parseMultiplicative() {
+
+        let node = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('//') || isOp('%')) {
+
+            const op = tokens[pos++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+
+        }
+
+        return node;
+
+    }
+
+    function parseUnary() {
+
+        if (isOp('-') || isOp('+')) {
+
+            const op = tokens[pos++].value;
+            return { type: 'unary', op, argument: parseUnary() };
+
+        }
+
+        return parsePower();
+
+    }
+
+    function parsePower() {
+
+        const base = parsePostfix();
+        if (isOp('**')) {
+
+            pos++;
+            return { type: 'binary', op: '**', left: base, right: parseUnary() };
+
+        }
+
+        return base;
+
+    }
+
+    function parsePostfix() {
+
+        let node = parseAtom();
+        while (true) {
+
+            if (isOp('(')) {
+
+                pos++;
+                const args = [];
+                while (!isOp(')')) {
+
+                    args.push(parseTernary());
+                    if (!isOp(')')) expectOp(',');
+
+                }
+
+                pos++;
+                node = { type: 'call', callee: node, args };
+
+            } else if (isOp('.')) {
+
+                pos++;
+                const name = tokens[pos++];
+                if (!name || name.type !== 'name') throw new Error(`XacroExpander: Expected attribute name in expression "${ text }".`);
+                node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+
+            } else if (isOp('[')) {
+
+                pos++;
+                const property = parseTernary();
+                expectOp(']');
+                node = { type: 'member', object: node, property };
+
+            } else {
+
+                return node;
+
+            }
+
+        }
+
+    }
+
+    function parseAtom() {
+
+        const token = tokens[pos++];
+        if (!token) throw new Error(`XacroExpander: Unexpected end of expression "${ text }".`);
+
+        if (token.type === 'number' || token.type === 'string') {
+
+            return { type: 'literal', value: token.value };
+
+        } else if (token.type === 'name') {
+
+            return { type: 'name', name: token.value };
+
+        } else if (token.value === '(') {
+
+            const node = parseTernary();
+            expectOp(')');
+            return node;
+
+        } else if (token.value === '[') {
+
+            const elements = [];
+            while (!isOp(']')) {
+
+                elements.push(parseTernary());
+                if (!isOp(']')) expectOp(',');
+
+            }
+
+            pos++;
+            return { type: 'list', elements };
+
+        }
+
+        throw new Error(`XacroExpander: Unexpected token "${ token.value }" in expression "${ text }".`);
+
+    }
+
+    const ast = parseTernary();
+    if (pos !== tokens.length) {
+
+        throw new Error(`XacroExpander: Unexpected token "${ tokens[pos].value }" in expression "${ text }".`);
+
+    }
+
+    return ast;
+
+}
+
+function evaluateNode(node, lookup) {
+
+    const ev = n => evaluateNode(n, lookup);
+    switch (node.type) {
+
+        case 'literal':
+            return node.value;
+
+        case 'name':
+            return lookup(node.name);
+
+        case 'list':
+            return node.elements.map(ev);
+
+        case 'if':
+            return toBool(ev(node.test)) ? ev(node.consequent) : ev(node.alternate);
+
+        case 'or': {
+
+            const left = ev(node.left);
+            return toBool(left) ? left : ev(node.right);
+
+        }
+
+        case 'and': {
+
+            const left = ev(node.left);
+            return toBool(left) ? ev(node.right) : left;
+
+        }
+
+        case 'not':
+            return !toBool(ev(node.argument));
+
+        case 'unary': {
+
+            const value = toLiteral(ev(node.argument));
+            return node.op === '-' ? -value : +value;
+
+        }
+
+        case 'compare': {
+
+            const left = toLiteral(ev(node.left));
+            const right = toLiteral(ev(node.right));
+            switch (node.op) {
+
+                case '==': return left === right;
+                case '!=': return left !== right;
+                case '<': return left < right;
+                case '>': return left > right;
+                case '<=': return left <= right;
+                case '>=': return left >= right;
+                case 'in': return right.includes(left);
+                case 'not in': return !right.includes(left);
+
+            }
+
+            break;
+
+        }
+
+        case 'binary': {
+
+            const left = toLiteral(ev(node.left));
+            const right = toLiteral(ev(node.right));
+            switch (node.op) {
+
+                case '+':
+                    return typeof left === 'string' || typeof right === 'string'
+                        ? toText(left) + toText(right)
+                        : left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '//': return Math.floor(left / right);
+                case '%': return ((left % right) + right) % right;
+                case '**': return left ** right;
+
+            }
+
+            break;
+
+        }
+
+        case 'member': {
+
+            const object = ev(node.object);
+            const property = ev(node.property);
+            if (object === null || object === undefined || !(property in Object(object))) {
+
+                throw new Error(`XacroExpander: Unknown attribute "${ property }".`);
+
+            }
+
+            return object[property];
+
+        }
+
+        case 'call': {
+
+            const fn = ev(node.callee);
+            if (typeof fn !== 'function') throw new Error('XacroExpander: Attempted to call a non-function value.');
+            return fn(...node.args.map(a => toLiteral(ev(a))));
+
+        }
+
+    }
+
+    throw new Error(`XacroExpander: Could not evaluate expression node "${ node.type }".`);
+
+}
+
+// Returns the index of the brace that closes the one opened before "start"
+function findClosingBrace(text, start, open = '{', close = '}') {
+
+    let depth = 1;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+
+        const c = text[i];
+        if (quote) {
+
+            if (c === quote) quote = null;
+
+        } else if (c === '\'' || c === '"') {
+
+            quote = c;
+
+        } else if (c === open) {
+
+            depth++;
+
+        } else if (c === close) {
+
+            depth--;
+            if (depth === 0) return i;
+
+        }
+
+    }
+
+    throw new Error(`XacroExpander: Unterminated substitution in "${ text }".`);
+
+}
+
+function isXacroElement(node) {
+
+    return node.nodeType === 1 && (node.namespaceURI === XACRO_NS || /^xacro:/.test(node.nodeName));
+
+}
+
+function xacroTag(node) {
+
+    return node.localName || node.nodeName.replace(/^xacro:/, '');
+
+}
+
+/* XacroExpander Class */
+// Expands a xacro document into a plain URDF document
+export default
+class XacroExpander {
+
+    constructor() {
+
+        // Values for $(arg name) substitutions, taking precedence over <xacro:arg> defaults
+        this.args = {};
+
+        // Maps an include filename to a fetchable url
+        this.resolvePath = path => path;
+
+        // Fetches the text of an included file
+        this.fetchText = url => fetch(url).then(res => {
+
+            if (!res.ok) throw new Error(`XacroExpander: Failed to load url '${ url }' with error code ${ res.status } : ${ res.statusText }.`);
+            return res.text();
+
+        });
+
+    }
+
+    static isXacro(content) {
+
+        if (typeof content === 'string') {
+
+            return content.includes(XACRO_NS) || /<xacro:/.test(content);
+
+        }
+
+        const root = content instanceof Document ? content.documentElement : content;
+        return !!root && [ root, ...root.getElementsByTagName('*') ].some(isXacroElement);
+
+    }
+
+    // Returns a promise that resolves with the expanded <robot> document
+    async expand(content, workingPath = '') {
+
+        let doc;
+        if (content instanceof Document) {
+
+            doc = content.cloneNode(true);
+
+        } else {
+
+            doc = new DOMParser().parseFromString(content, 'text/xml');
+
+        }
+
+        const parseError = doc.getElementsByTagName('parsererror')[0];
+        if (parseError) {
+
+            throw new Error(`XacroExpander: Could not parse document. ${ parseError.textContent }`);
+
+        }
+
+        const globalScope = Object.create(null);
+        const context = { doc, globalScope, args: { ...this.args }, includeStack: [] };
+
+        const root = doc.documentElement;
+        const children = await this._processChildren(root, globalScope, workingPath, context);
+        children.forEach(c => root.appendChild(c));
+        this._applyAttributes(root);
+
+        // remove the now unused xacro namespace declaration
+        root.removeAttribute('xmlns:xacro');
+
+        // substitute the root attributes once the args and properties declared in the document are known
+        [ ...root.attributes ].forEach(attr => {
+
+            attr.value = this._substitute(attr.value, globalScope, context, true);
+
+        });
+
+        return doc;
+
+    }
+
+    /* Private Functions */
+    // Expands all children of the given node, detaching them and returning the
+    // list of nodes that should replace them.
+    async _processChildren(node, scope, workingPath, context) {
+
+        const result = [];
+        const children = [ ...node.childNodes ];
+        children.forEach(c => node.removeChild(c));
+
+        for (const child of children) {
+
+            const nodes = await this._processNode(child, scope, workingPath, context);
+            result.push(...nodes);
+
+        }
+
+        return result;
+
+    }
+
+    async _processNode(node, scope, workingPath, context) {
+
+        // text and comment nodes
+        if (node.nodeType === 3) {
+
+            node.textContent = this._substitute(node.textContent, scope, context, true);
+            return [ node ];
+
+        } else if (node.nodeType !== 1) {
+
+            return [ node ];
+
+        }
+
+        if (!isXacroElement(node)) {
+
+            [ ...node.attributes ].forEach(attr => {
+
+                if (attr.name === 'xmlns:xacro') return;
+                attr.value = this._substitute(attr.value, scope, context, true);
+
+            });
+
+            const children = await this._processChildren(node, scope, workingPath, context);
+            children.forEach(c => node.appendChild(c));
+            return [ node ];
+
+        }
+
+        const tag = xacroTag(node);
+        const attr = name => {
+
+            const value = node.getAttribute(name);
+            return value === null ? null : this._substitute(value, scope, context, true);
+
+        };
+
+        switch (tag) {
+
+            case 'property': {
+
+                const name = attr('name');
+                const targetScope = this._resolveTargetScope(scope, node.getAttribute('scope'), context);
+                if (node.hasAttribute('value') || node.hasAttribute('default')) {
+
+                    if (node.hasAttribute('default') && !node.hasAttribute('value') && name in targetScope) {
+
+                        return [];
+
+                    }
+
+                    const raw = node.getAttribute(node.hasAttribute('value') ? 'value' : 'default');
+                    targetScope[name] = { raw, scope, evaluated: false, value: undefined };
+
+                } else {
+
+                    // property blocks store their contents to be inserted later
+                    const nodes = [ ...node.childNodes ].filter(n => n.nodeType === 1);
+                    targetScope[name] = { evaluated: true, value: { isXacroBlock: true, nodes } };
+
+                }
+
+                return [];
+
+            }
+
+            case 'arg': {
+
+                const name = attr('name');
+                if (!(name in context.args) && node.hasAttribute('default')) {
+
+                    context.args[name] = attr('default');
+
+                }
+
+                return [];
+
+            }
+
+            case 'macro': {
+
+                const name = attr('name');
+                const params = (node.getAttribute('params') || '').trim();
+                scope[`macro:${ name }`] = {
+                    evaluated: true,
+                    value: { name, params: this._parseParams(params), body: node },
+                };
+                return [];
+
+            }
+
+            case 'include': {
+
+                const filename = attr('filename');
+                const url = this.resolvePath(filename, workingPath);
+                if (url === null || url === undefined) {
+
+                    throw new Error(`XacroExpander: Could not resolve include "${ filename }".`);
+
+                }
+
+                if (context.includeStack.includes(url)) {
+
+                    throw new Error(`XacroExpander: Detected a recursive include of "${ filename }".`);
+
+                }
+
+                const text = await this.fetchText(url);
+                const included = new DOMParser().parseFromString(text, 'text/xml');
+                const includedRoot = context.doc.importNode(included.documentElement, true);
+
+                // namespaced includes expose their contents as "ns.name"
+                let includeScope = scope;
+                const ns = attr('ns');
+                if (ns) {
+
+                    includeScope = Object.create(scope);
+                    scope[ns] = { evaluated: true, value: includeScope, isNamespace: true };
+
+                }
+
+                context.includeStack.push(url);
+                const nodes = await this._processChildren(includedRoot, includeScope, url.replace(/[^/]*$/, ''), context);
+                context.includeStack.pop();
+                return nodes;
+
+            }
+
+            case 'if':
+            case 'unless': {
+
+                const value = toBool(this._substitute(node.getAttribute('value'), scope, context, false));
+                if (value === (tag === 'if')) {
+
+                    return this._processChildren(node, scope, workingPath, context);
+
+                }
+
+                return [];
+
+            }
+
+            case 'insert_block': {
+
+                const name = attr('name');
+                const block = this._lookup(name, scope, context);
+                if (!block || !block.isXacroBlock) {
+
+                    throw new Error(`XacroExpander: Unknown block "${ name }".`);
+
+                }
+
+                const result = [];
+                for (const n of block.nodes) {
+
+                    result.push(...await this._processNode(context.doc.importNode(n, true), scope, workingPath, context));
+
+                }
+
+                return result;
+
+            }
+
+            case 'element': {
+
+                const el = context.doc.createElement(attr('xacro:name'));
+                [ ...node.attributes ].forEach(a => {
+
+                    if (a.name !== 'xacro:name') el.setAttribute(a.name, this._substitute(a.value, scope, context, true));
+
+                });
+
+                const children = await this._processChildren(node, scope, workingPath, context);
+                children.forEach(c => el.appendChild(c));
+                return [ el ];
+
+            }
+
+            case 'attribute': {
+
+                // moved onto the parent element once expansion is complete
+                node.setAttribute('name', attr('name'));
+                node.setAttribute('value', attr('value'));
+                return [ node ];
+
+            }
+
+            default: {
+
+                return this._callMacro(node, tag, scope, workingPath, context);
+
+            }
+
+        }
+
+    }
+
+    async _callMacro(node, name, scope, workingPath, context) {
+
+        // macros from namespaced includes are called as "ns.name"
+        let lookupScope = scope;
+        let macroName = name;
+        const dot = name.lastIndexOf('.');
+        if (dot !== -1 && scope[name.slice(0, dot)] && scope[name.slice(0, dot)].isNamespace) {
+
+            lookupScope = scope[name.slice(0, dot)].value;
+            macroName = name.slice(dot + 1);
+
+        }
+
+        const macro = this._lookup(`macro:${ macroName }`, lookupScope, context, true);
+        if (!macro) {
+
+            throw new Error(`XacroExpander: Unknown macro "xacro:${ name }".`);
+
+        }
+
+        // macros are evaluated in a new scope layered over the calling scope
+        const macroScope = Object.create(scope);
+        const callAttributes = {};
+        [ ...node.attributes ].forEach(a => callAttributes[a.name] = a.value);
+
+        // block parameters consume the element children of the call in order
+        const blockNodes = [ ...node.childNodes ].filter(n => n.nodeType === 1);
+        macro.params.forEach(param => {
+
+            if (param.block) {
+
+                // "*block" inserts the passed element while "**block" inserts its children
+                const block = blockNodes.shift();
+                if (!block) throw new Error(`XacroExpander: Missing block parameter "${ param.name }" for macro "${ name }".`);
+
+                const nodes = param.multiple ? [ ...block.childNodes ].filter(n => n.nodeType === 1) : [ block ];
+                macroScope[param.name] = { evaluated: true, value: { isXacroBlock: true, nodes } };
+                return;
+
+            }
+
+            let value;
+            if (param.name in callAttributes) {
+
+                value = this._substitute(callAttributes[param.name], scope, context, false);
+
+            } else if (param.forward && param.forward in scope) {
+
+                value = this._lookup(param.forward, scope, context);
+
+            } else if (param.default !== null) {
+
+                value = this._substitute(param.default, scope, context, false);
+
+            } else {
+
+                throw new Error(`XacroExpander: Missing parameter "${ param.name }" for macro "${ name }".`);
+
+            }
+
+            macroScope[param.name] = { evaluated: true, value };
+
+        });
+
+        const body = context.doc.importNode(macro.body, true);
+        return this._processChildren(body, macroScope, workingPath, context);
+
+    }
+
+    // Moves <xacro:attribute> nodes onto their parent elements
+    _applyAttributes(el) {
+
+        [ ...el.childNodes ].forEach(c => {
+
+            if (c.nodeType !== 1) return;
+            if (isXacroElement(c) && xacroTag(c) === 'attribute') {
+
+                el.setAttribute(c.getAttribute('name'), c.getAttribute('value'));
+                el.removeChild(c);
+
+            } else {
+
+                this._applyAttributes(c);
+
+            }
+
+        });
+
+    }
+
+    // Parses a "a b:=1 c:=^ d:=^|2 *block **blocks" params list
+    _parseParams(params) {
+
+        return params
+            .split(/\s+/g)
+            .filter(p => !!p)
+            .map(p => {
+
+                if (p.startsWith('**')) return { name: p.slice(2), block: true, multiple: true };
+                if (p.startsWith('*')) return { name: p.slice(1), block: true, multiple: false };
+
+                const [ name, def = null ] = p.split(/:=|=/);
+                let forward = null;
+                let defaultValue = def;
+                if (def !== null && def.startsWith('^')) {
+
+                    forward = name;
+                    defaultValue = def.startsWith('^|') ? def.slice(2) : null;
+
+                }
+
+                return { name, default: defaultValue, forward };
+
+            });
+
+    }
+
+    _resolveTargetScope(scope, scopeName, context) {
+
+        if (scopeName === 'global') return context.globalScope;
+        if (scopeName === 'parent') return Object.getPrototypeOf(scope) || scope;
+        return scope;
+
+    }
+
+    _lookup(name, scope, context, optional = false) {
+
+        if (!(name in scope)) {
+
+            if (optional) return null;
+            if (name in builtins) return builtins[name];
+            throw new Error(`XacroExpander: Property "${ name }" is not defined.`);
+
+        }
+
+        const entry = scope[name];
+        if (!entry.evaluated) {
+
+            if (entry.evaluating) {
+
+                throw new Error(`XacroExpander: Property "${ name }" is defined recursively.`);
+
+            }
+
+            entry.evaluating = true;
+            entry.value = toLiteral(this._substitute(entry.raw, entry.scope, context, false));
+            entry.evaluating = false;
+            entry.evaluated = true;
+
+        }
+
+        return entry.isNamespace ? this._namespaceProxy(entry.value, context) : entry.value;
+
+    }
+
+    // Exposes the properties of a namespaced include as an object for "ns.name" access
+    _namespaceProxy(scope, context) {
+
+        return new Proxy({}, {
+
+            has: (target, key) => key in scope,
+            get: (target, key) => this._lookup(key, scope, context),
+
+        });
+
+    }
+
+    // Substitutes all $() and ${} occurrences in the string. If the string is a
+    // single ${} expression and "asText" is false then the raw value is returned.
+    _substitute(text, scope, context, asText) {
+
+        if (text === null || text.indexOf('$') === -1) return text;
+
+        const lookup = name => this._lookup(name, scope, context);
+        const parts = [];
+        let index = 0;
+        while (index < text.length) {
+
+            const next = text.indexOf('$', index);
+            if (next === -1) {
+
+                parts.push(text.slice(index));
+                break;
+
+            }
+
+            parts.push(text.slice(index, next));
+
+            const open = text[next + 1];
+            if (open === '$') {
+
+                // "$$" escapes a literal dollar sign
+                parts.push('$');
+                index = next + 2;
+
+            } else if (open === '{') {
+
+                const end = findClosingBrace(text, next + 2);
+                const expression = text.slice(next + 2, end);
+                parts.push({ value: evaluateNode(parseExpression(expression), lookup) });
+                index = end + 1;
+
+            } else if (open === '(') {
+
+                const end = findClosingBrace(text, next + 2, '(', ')');
+                parts.push({ value: this._substituteCommand(text.slice(next + 2, end).trim(), scope, context) });
+                index = end + 1;
+
+            } else {
+
+                parts.push('$');
+                index = next + 1;
+
+            }
+
+        }
+
+        const filtered = parts.filter(p => p !== '');
+        if (!asText && filtered.length === 1 && typeof filtered[0] === 'object') {
+
+            return filtered[0].value;
+
+        }
+
+        return filtered.map(p => typeof p === 'object' ? toText(p.value) : p).join('');
+
+    }
+
+    // Handles $(command args) substitutions
+    _substituteCommand(command, scope, context) {
+
+        const [ name, ...rest ] = command.split(/\s+/g);
+        const argText = command.slice(name.length).trim();
+        switch (name) {
+
+            case 'arg': {
+
+                const argName = rest[0];
+                if (!(argName in context.args)) {
+
+                    throw new Error(`XacroExpander: Undefined substitution argument "${ argName }".`);
+
+                }
+
+                return context.args[argName];
+
+            }
+
+            case 'find':
+                // resolved through the loader's package mapping
+                return `package://${ rest[0] }`;
+
+            case 'optenv':
+                return rest.slice(1).join(' ');
+
+            case 'env':
+                return '';
+
+            case 'eval':
+                return evaluateNode(parseExpression(argText), n => {
+
+                    if (!(n in scope) && n in context.args) return toLiteral(context.args[n]);
+                    return this._lookup(n, scope, context);
+
+                });
+
+            default:
+                throw new Error(`XacroExpander: Unsupported substitution "$(${ command })".`);
+
+        }
+
+    }
+
+}
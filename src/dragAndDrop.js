@@ -1,3 +1,5 @@
+import { isZipFile, loadZipFiles, getModelFiles, pickModelFile, createFileURLModifier } from './zipLoader.js';
+
 // Converts a datatransfer structer into an object with all paths and files
 // listed out. Returns a promise that resolves with the file structure.
 function dataTransferToFiles(dataTransfer) {
@@ -93,90 +95,92 @@ function dataTransferToFiles(dataTransfer) {
         }
     });
 }
-export function registerDragEvents(viewer, callback) {
 
-    document.addEventListener('dragover', e => e.preventDefault());
-    document.addEventListener('dragenter', e => e.preventDefault());
-    document.addEventListener('drop', e => {
+// Replaces any zip archives in the file map with their contents, placed in a
+// folder named after the archive. Resolves with the files and the models found
+// inside the archives.
+function expandZipFiles(files) {
 
-        e.preventDefault();
+    const zipNames = Object.keys(files).filter(n => isZipFile(n));
+    const zipModels = [];
+    const promises = zipNames.map(name => {
 
-        // convert the files
-        dataTransferToFiles(e.dataTransfer)
-            .then(files => {
+        const file = files[name];
+        delete files[name];
+
+        return loadZipFiles(file, name.replace(/\.zip$/i, ''))
+            .then(entries => {
 
-                // removes '..' and '.' tokens and normalizes slashes
-                const cleanFilePath = path => {
+                Object.assign(files, entries);
+                zipModels.push(...getModelFiles(Object.keys(entries)));
 
-                    return path
-                        .replace(/\\/g, '/')
-                        .split(/\//g)
-                        .reduce((acc, el) => {
+            })
+            .catch(err => console.error(`DragAndDrop: Failed to read archive '${ name }'.`, err));
 
-                            if (el === '..') acc.pop();
-                            else if (el !== '.') acc.push(el);
-                            return acc;
+    });
 
-                        }, [])
-                        .join('/');
+    return Promise.all(promises).then(() => ({ files, zipModels }));
 
-                };
+}
 
-                // set the loader url modifier to check the list
-                // of files
-                const fileNames = Object.keys(files).map(n => cleanFilePath(n));
-                viewer.urlModifierFunc = url => {
+// Shows the model picker listing the given robot description files. Resolves
+// with the chosen path or null if the picker is dismissed.
+export function showModelPicker(models) {
 
-                    // find the matching file given the requested url
-                    const cleaned = cleanFilePath(url.replace(viewer.package, ''));
+    const picker = document.getElementById('model-picker');
+    const list = picker.querySelector('ul');
+    list.innerHTML = '';
+    picker.classList.remove('hidden');
 
-                    // First try: exact suffix match
-                    let fileName = fileNames
-                        .filter(name => {
+    return new Promise(resolve => {
 
-                            // check if the end of file and url are the same
-                            const len = Math.min(name.length, cleaned.length);
-                            return cleaned.substr(cleaned.length - len) === name.substr(name.length - len);
+        const close = value => {
 
-                        }).pop();
+            picker.classList.add('hidden');
+            picker.querySelector('button').onclick = null;
+            resolve(value);
 
-                    // Second try: if URL has "meshes" in path, try replacing with "assets" and vice versa
-                    if (fileName === undefined) {
-                        let alternativePath = cleaned;
-                        if (cleaned.includes('/meshes/')) {
-                            alternativePath = cleaned.replace('/meshes/', '/assets/');
-                        } else if (cleaned.includes('/assets/')) {
-                            alternativePath = cleaned.replace('/assets/', '/meshes/');
-                        }
+        };
 
-                        fileName = fileNames
-                            .filter(name => {
-                                const len = Math.min(name.length, alternativePath.length);
-                                return alternativePath.substr(alternativePath.length - len) === name.substr(name.length - len);
-                            }).pop();
-                    }
+        models.forEach(model => {
 
-                    if (fileName !== undefined) {
+            const li = document.createElement('li');
+            li.textContent = model.replace(/^\//, '');
+            li.addEventListener('click', () => close(model));
+            list.appendChild(li);
 
-                        // revoke the url after it's been used
-                        const bloburl = URL.createObjectURL(files[fileName]);
-                        requestAnimationFrame(() => URL.revokeObjectURL(bloburl));
+        });
 
-                        return bloburl;
+        picker.querySelector('button').onclick = () => close(null);
 
-                    }
+    });
 
-                    return url;
+}
+
+export function registerDragEvents(viewer, callback) {
+
+    document.addEventListener('dragover', e => e.preventDefault());
+    document.addEventListener('dragenter', e => e.preventDefault());
+    document.addEventListener('drop', e => {
+
+        e.preventDefault();
 
-                };
+        // convert the files
+        dataTransferToFiles(e.dataTransfer)
+            .then(files => expandZipFiles(files))
+            .then(({ files, zipModels }) => {
+
+                // set the loader url modifier to check the list
+                // of files
+                viewer.urlModifierFunc = createFileURLModifier(files, () => viewer.package);
 
                 // set the source of the element to the most likely intended display model
                 const filesNames = Object.keys(files);
                 viewer.up = '+Z';
                 document.getElementById('up-select').value = viewer.up;
 
-                // filter all files ending in urdf
-                const availableModels = fileNames.filter(n => /urdf$/i.test(n));
+                // filter all files ending in urdf, xacro, sdf or xml (MJCF)
+                const availableModels = getModelFiles(filesNames);
                 // remove existing entries from #urdf-options
                 const urdfOptionsContainer = document.querySelector('#urdf-options');
                 while (urdfOptionsContainer.firstChild){
@@ -192,18 +196,21 @@ export function registerDragEvents(viewer, callback) {
                     urdfOptionsContainer.appendChild(li);
                 });
 
-                const selectedUrdf = filesNames
-                    .filter(n => /urdf$/i.test(n))
-                    .shift();
+                // ask which robot to show if an archive holds several of them
+                const picked = zipModels.length > 1 ? showModelPicker(zipModels) : Promise.resolve(null);
+                return picked.then(model => {
 
-                viewer.urdf = selectedUrdf;
+                    const selectedUrdf = model || pickModelFile(filesNames);
+                    viewer.urdf = selectedUrdf;
 
-                // Set package to the directory containing the URDF
-                // This assumes URDF is at the same level as meshes/assets folders
-                if (selectedUrdf) {
-                    const urdfDir = selectedUrdf.substring(0, selectedUrdf.lastIndexOf('/'));
-                    viewer.package = urdfDir || '/';
-                }
+                    // Set package to the directory containing the URDF
+                    // This assumes URDF is at the same level as meshes/assets folders
+                    if (selectedUrdf) {
+                        const urdfDir = selectedUrdf.substring(0, selectedUrdf.lastIndexOf('/'));
+                        viewer.package = urdfDir || '/';
+                    }
+
+                });
 
             }).then(() => callback());
 
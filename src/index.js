@@ -1,13 +1,14 @@
 /* globals */
 import * as THREE from 'three';
-import { registerDragEvents } from './dragAndDrop.js';
-import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { registerDragEvents, showModelPicker } from './dragAndDrop.js';
+import { pickModelFile } from './zipLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader.js';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
 import URDFManipulator from './urdf-manipulator-element.js';
 import { OBJExporter } from './OBJExporter.js';
 import { DAEExporter } from './DAEExporter.js';
+import URDFWriter from './URDFWriter.js';
+import { readURLState, writeURLState } from './urlState.js';
+import { sampleWorkspace, workspaceToPLY, workspaceToCSV } from './workspace.js';
 
 customElements.define('urdf-viewer', URDFManipulator);
 
@@ -18,18 +19,54 @@ const viewer = document.querySelector('urdf-viewer');
 
 const limitsToggle = document.getElementById('ignore-joint-limits');
 const collisionToggle = document.getElementById('collision-toggle');
+const inertiaToggle = document.getElementById('inertia-toggle');
+const tcpToggle = document.getElementById('tcp-toggle');
+const manipulabilityToggle = document.getElementById('manipulability-toggle');
+const forceEllipsoidToggle = document.getElementById('force-ellipsoid-toggle');
+const manipulabilityReadout = document.getElementById('manipulability-readout');
+const singularityToggle = document.getElementById('singularity-toggle');
+const singularityWarning = document.getElementById('singularity-warning');
 const radiansToggle = document.getElementById('radians-toggle');
 const autocenterToggle = document.getElementById('autocenter-toggle');
 const upSelect = document.getElementById('up-select');
+const ikSolverSelect = document.getElementById('ik-solver-select');
+const ikConstraintSelect = document.getElementById('ik-constraint-select');
+const ikObjectiveSelect = document.getElementById('ik-objective-select');
+const ikSetHomeButton = document.getElementById('ik-set-home');
 const sliderList = document.querySelector('#controls ul');
 const controlsel = document.getElementById('controls');
 const controlsToggle = document.getElementById('toggle-controls');
 const animToggle = document.getElementById('do-animate');
 const ikModeToggle = document.getElementById('ik-mode');
 const exportObjButton = document.getElementById('export-obj');
+const exportUrdfButton = document.getElementById('export-urdf');
+const workspaceToggle = document.getElementById('workspace-toggle');
+const workspaceDisplaySelect = document.getElementById('workspace-display-select');
+const workspaceInfo = document.getElementById('workspace-info');
+const exportWorkspacePlyButton = document.getElementById('export-workspace-ply');
+const exportWorkspaceCsvButton = document.getElementById('export-workspace-csv');
 const showAxesToggle = document.getElementById('show-axes');
 const showBananaToggle = document.getElementById('show-banana');
 const interactionInstruction = document.getElementById('interaction-instruction');
+const validationPanel = document.getElementById('validation-panel');
+const validationSummary = document.getElementById('validation-summary');
+const validationList = document.getElementById('validation-list');
+const validationClose = document.getElementById('validation-close');
+const ikTargetPanel = document.getElementById('ik-target-panel');
+const ikTargetClose = document.getElementById('ik-target-close');
+const ikGizmoRotateToggle = document.getElementById('ik-gizmo-rotate');
+const ikGizmoToolToggle = document.getElementById('ik-gizmo-tool');
+const ikTargetPinToggle = document.getElementById('ik-target-pin');
+const ikTargetFields = [...document.querySelectorAll('#ik-target-fields input')];
+const ikHud = document.getElementById('ik-hud');
+const ikSolutionsFind = document.getElementById('ik-solutions-find');
+const ikSolutionsPrev = document.getElementById('ik-solutions-prev');
+const ikSolutionsNext = document.getElementById('ik-solutions-next');
+const ikSolutionsApply = document.getElementById('ik-solutions-apply');
+const ikSolutionsLabel = document.getElementById('ik-solutions-label');
+const ikAnchors = document.getElementById('ik-anchors');
+const ikAnchorsLabel = document.getElementById('ik-anchors-label');
+const ikAnchorsClear = document.getElementById('ik-anchors-clear');
 const DEG2RAD = Math.PI / 180;
 const RAD2DEG = 1 / DEG2RAD;
 let sliders = {};
@@ -55,6 +92,42 @@ const setColor = color => {
 
 };
 
+// Summarize the effort, velocity, dynamics, safety controller and calibration
+// data of a joint for display under its slider
+const formatJointDetails = (joint, degMultiplier) => {
+    const isPrismatic = joint.jointType === 'prismatic';
+    const angleUnit = degMultiplier === 1 ? 'rad' : '°';
+    const posUnit = isPrismatic ? 'm' : angleUnit;
+    const posMultiplier = isPrismatic ? 1 : degMultiplier;
+    const fmt = v => parseFloat(v.toPrecision(3));
+    const parts = [];
+
+    const { effort, velocity } = joint.limit;
+    if (effort) parts.push(`${ fmt(effort) } ${ isPrismatic ? 'N' : 'Nm' }`);
+    if (velocity) parts.push(`${ fmt(velocity * posMultiplier) } ${ posUnit }/s`);
+
+    const { damping, friction } = joint.dynamics;
+    if (damping || friction) parts.push(`damping ${ fmt(damping) }, friction ${ fmt(friction) }`);
+
+    const safety = joint.safetyController;
+    if (safety) {
+        parts.push(
+            `soft ${ fmt(safety.softLowerLimit * posMultiplier) }..${ fmt(safety.softUpperLimit * posMultiplier) } ${ posUnit }` +
+            ` (k_pos ${ fmt(safety.kPosition) }, k_vel ${ fmt(safety.kVelocity) })`,
+        );
+    }
+
+    const calibration = joint.calibration;
+    if (calibration) {
+        const edges = [];
+        if (calibration.rising !== null) edges.push(`rising ${ fmt(calibration.rising * posMultiplier) }`);
+        if (calibration.falling !== null) edges.push(`falling ${ fmt(calibration.falling * posMultiplier) }`);
+        if (edges.length) parts.push(`calibration ${ edges.join(', ') } ${ posUnit }`);
+    }
+
+    return parts.join(' · ');
+};
+
 // Events
 // toggle checkbox
 limitsToggle.addEventListener('click', () => {
@@ -67,6 +140,7 @@ radiansToggle.addEventListener('click', () => {
     Object
         .values(sliders)
         .forEach(sl => sl.update());
+    updateIKTargetFields(viewer.ikControls && viewer.ikControls.getTargetPose());
 });
 
 collisionToggle.addEventListener('click', () => {
@@ -74,6 +148,53 @@ collisionToggle.addEventListener('click', () => {
     viewer.showCollision = collisionToggle.classList.contains('checked');
 });
 
+inertiaToggle.addEventListener('click', () => {
+    inertiaToggle.classList.toggle('checked');
+    viewer.showInertia = inertiaToggle.classList.contains('checked');
+});
+
+tcpToggle.addEventListener('click', () => {
+    tcpToggle.classList.toggle('checked');
+    viewer.showTCP = tcpToggle.classList.contains('checked');
+});
+
+// Manipulability of the TCP position with its velocity or force ellipsoid
+manipulabilityToggle.addEventListener('click', () => {
+    manipulabilityToggle.classList.toggle('checked');
+    viewer.showManipulability = manipulabilityToggle.classList.contains('checked');
+    manipulabilityReadout.classList.toggle('hidden', !viewer.showManipulability);
+});
+
+forceEllipsoidToggle.addEventListener('click', () => {
+    forceEllipsoidToggle.classList.toggle('checked');
+    viewer.manipulabilityEllipsoid = forceEllipsoidToggle.classList.contains('checked') ? 'force' : 'velocity';
+});
+
+viewer.addEventListener('manipulability-change', e => {
+    const { manipulability, conditionNumber } = e.detail;
+    const condition = isFinite(conditionNumber) ? conditionNumber.toFixed(1) : '∞';
+    manipulabilityReadout.textContent = `Manipulability ${ manipulability.toExponential(2) } · Condition number ${ condition }`;
+});
+
+// Warn when the pose is near a singularity, the affected links are tinted by the viewer
+const SINGULARITY_LABELS = {
+    wrist: 'Wrist singularity',
+    elbow: 'Elbow singularity',
+    shoulder: 'Shoulder singularity',
+};
+
+singularityToggle.addEventListener('click', () => {
+    singularityToggle.classList.toggle('checked');
+    viewer.showSingularities = singularityToggle.classList.contains('checked');
+    if (!viewer.showSingularities) singularityWarning.classList.add('hidden');
+});
+
+viewer.addEventListener('singularity-change', e => {
+    const { singular, type, joints } = e.detail;
+    singularityWarning.classList.toggle('hidden', !singular);
+    if (singular) singularityWarning.textContent = `${ SINGULARITY_LABELS[type] } (${ joints.join(', ') })`;
+});
+
 autocenterToggle.addEventListener('click', () => {
     autocenterToggle.classList.toggle('checked');
     viewer.noAutoRecenter = !autocenterToggle.classList.contains('checked');
@@ -141,6 +262,12 @@ showBananaToggle.addEventListener('click', () => {
 });
 
 upSelect.addEventListener('change', () => viewer.up = upSelect.value);
+ikSolverSelect.addEventListener('change', () => viewer.ikSolver = ikSolverSelect.value);
+ikConstraintSelect.addEventListener('change', () => viewer.ikConstraint = ikConstraintSelect.value);
+ikObjectiveSelect.addEventListener('change', () => viewer.ikObjective = ikObjectiveSelect.value);
+ikSetHomeButton.addEventListener('click', () => {
+    if (viewer.ikControls) viewer.ikControls.setHomePose();
+});
 
 controlsToggle.addEventListener('click', () => controlsel.classList.toggle('hidden'));
 
@@ -155,7 +282,7 @@ exportObjButton.addEventListener('click', () => {
 
     // Generate filename based on URDF name or use default
     const urdfPath = viewer.urdf || 'robot';
-    const filename = urdfPath.split('/').pop().replace('.urdf', '') + '.dae';
+    const filename = urdfPath.split('/').pop().replace(/(\.urdf)?(\.xacro)?(\.sdf|\.xml)?$/i, '') + '.dae';
 
     const exporter = new DAEExporter();
     const daeContent = exporter.parse(viewer.robot);
@@ -164,9 +291,70 @@ exportObjButton.addEventListener('click', () => {
     console.log('Export complete!');
 });
 
+// Export URDF functionality
+exportUrdfButton.addEventListener('click', () => {
+    if (!viewer.robot) {
+        alert('No robot loaded to export!');
+        return;
+    }
+
+    const urdfPath = viewer.urdf || 'robot';
+    const filename = urdfPath.split('/').pop().replace(/(\.urdf)?(\.xacro)?(\.sdf|\.xml)?$/i, '') + '.urdf';
+
+    // write mesh paths relative to the directory of the loaded file
+    const writer = new URDFWriter();
+    writer.packageRoot = urdfPath.substring(0, urdfPath.lastIndexOf('/'));
+
+    URDFWriter.download(writer.parse(viewer.robot), filename);
+});
+
+// Reachable workspace of the tool center point
+workspaceToggle.addEventListener('click', () => {
+    workspaceToggle.classList.toggle('checked');
+    viewer.showWorkspace = workspaceToggle.classList.contains('checked');
+    if (viewer.showWorkspace && !viewer.workspace) viewer.computeWorkspace();
+});
+
+workspaceDisplaySelect.addEventListener('change', () => viewer.workspaceDisplay = workspaceDisplaySelect.value);
+
+// sample again for a new model or TCP while the workspace is shown
+viewer.addEventListener('tcp-change', () => {
+    if (viewer.showWorkspace) viewer.computeWorkspace();
+});
+
+viewer.addEventListener('workspace-change', e => {
+    const workspace = e.detail;
+    workspaceInfo.textContent = workspace
+        ? `Reach ${ workspace.reach.toFixed(2) } m · Hull volume ${ workspace.volume.toFixed(3) } m³`
+        : '';
+});
+
+const downloadWorkspace = (content, extension, type) => {
+    const workspace = viewer.workspace || viewer.computeWorkspace();
+    if (!workspace) {
+        alert('No robot loaded to export!');
+        return;
+    }
+
+    const urdfPath = viewer.urdf || 'robot';
+    const filename = urdfPath.split('/').pop().replace(/(\.urdf)?(\.xacro)?(\.sdf|\.xml)?$/i, '') + `-workspace.${ extension }`;
+    const blob = new Blob([content(workspace)], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+exportWorkspacePlyButton.addEventListener('click', () => downloadWorkspace(workspaceToPLY, 'ply', 'text/plain'));
+exportWorkspaceCsvButton.addEventListener('click', () => downloadWorkspace(workspaceToCSV, 'csv', 'text/csv'));
+
 // watch for urdf changes
 viewer.addEventListener('urdf-change', () => {
 
+    validationPanel.classList.add('hidden');
+
     Object
         .values(sliders)
         .forEach(sl => sl.remove());
@@ -174,6 +362,198 @@ viewer.addEventListener('urdf-change', () => {
 
 });
 
+// show any problems found while loading the robot
+viewer.addEventListener('urdf-validation', e => {
+
+    const { errors, warnings } = e.detail;
+    validationList.innerHTML = '';
+    validationPanel.classList.toggle('hidden', errors.length === 0 && warnings.length === 0);
+    validationSummary.textContent = `${ errors.length } error(s), ${ warnings.length } warning(s)`;
+
+    [ ...errors, ...warnings ].forEach(issue => {
+
+        const li = document.createElement('li');
+        li.classList.add(issue.severity);
+        li.textContent = issue.message;
+
+        if (issue.path) {
+            const path = document.createElement('span');
+            path.classList.add('path');
+            path.textContent = issue.path;
+            li.appendChild(path);
+        }
+
+        validationList.appendChild(li);
+
+    });
+
+});
+
+validationClose.addEventListener('click', () => validationPanel.classList.add('hidden'));
+
+// IK target pose entry. Positions are in meters relative to the robot root and
+// rotations are roll, pitch and yaw in the unit selected for the sliders.
+const updateIKTargetFields = pose => {
+
+    // The panel stays open to list pinned targets once the current one is released
+    const anchorCount = viewer.ikControls ? viewer.ikControls.anchors.length : 0;
+    ikTargetPanel.classList.toggle('hidden', !pose && !anchorCount);
+    ikTargetPanel.classList.toggle('no-target', !pose);
+    if (!pose) return;
+
+    const angleMultiplier = radiansToggle.classList.contains('checked') ? 1.0 : RAD2DEG;
+    const euler = new THREE.Euler().setFromQuaternion(pose.quaternion, 'ZYX');
+    const values = {
+        x: pose.position.x,
+        y: pose.position.y,
+        z: pose.position.z,
+        roll: euler.x * angleMultiplier,
+        pitch: euler.y * angleMultiplier,
+        yaw: euler.z * angleMultiplier,
+    };
+
+    // Don't overwrite a field that is being edited
+    ikTargetFields.forEach(input => {
+        if (input !== document.activeElement) {
+            input.value = parseFloat(values[input.dataset.field].toFixed(4));
+        }
+    });
+
+};
+
+ikTargetFields.forEach(input => input.addEventListener('change', () => {
+
+    if (!viewer.ikControls) return;
+
+    const values = {};
+    ikTargetFields.forEach(field => values[field.dataset.field] = parseFloat(field.value) || 0);
+
+    const angleMultiplier = radiansToggle.classList.contains('checked') ? 1.0 : DEG2RAD;
+    const position = new THREE.Vector3(values.x, values.y, values.z);
+    const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+        values.roll * angleMultiplier,
+        values.pitch * angleMultiplier,
+        values.yaw * angleMultiplier,
+        'ZYX',
+    ));
+    viewer.ikControls.setTargetPose(position, quaternion);
+
+}));
+
+viewer.addEventListener('ik-target-change', e => updateIKTargetFields(e.detail));
+
+ikTargetClose.addEventListener('click', () => {
+    if (viewer.ikControls) {
+        viewer.ikControls.setTargetPinned(false);
+        viewer.ikControls.cleanupCurrentSolver();
+    }
+    viewer.redraw();
+});
+
+// Pinned targets hold their effector in place while other targets are dragged
+ikTargetPinToggle.addEventListener('click', () => {
+    ikTargetPinToggle.classList.toggle('checked');
+    if (viewer.ikControls) viewer.ikControls.setTargetPinned(ikTargetPinToggle.classList.contains('checked'));
+});
+
+ikAnchorsClear.addEventListener('click', () => {
+    if (viewer.ikControls) viewer.ikControls.clearTargets();
+    viewer.redraw();
+});
+
+viewer.addEventListener('ik-targets-change', e => {
+
+    const targets = e.detail;
+    const current = targets.find(t => t.current);
+    const anchors = targets.filter(t => !t.current);
+    ikTargetPinToggle.classList.toggle('checked', !!current && current.pinned);
+
+    ikAnchors.classList.toggle('hidden', !anchors.length);
+    ikAnchorsLabel.textContent = `Pinned: ${ anchors.map(t => t.effector).join(', ') }`;
+    ikTargetPanel.classList.toggle('hidden', !current && !anchors.length);
+
+});
+
+ikGizmoRotateToggle.addEventListener('click', () => {
+    ikGizmoRotateToggle.classList.toggle('checked');
+    const mode = ikGizmoRotateToggle.classList.contains('checked') ? 'rotate' : 'translate';
+    if (viewer.ikControls) viewer.ikControls.setGizmoMode(mode);
+});
+
+ikGizmoToolToggle.addEventListener('click', () => {
+    ikGizmoToolToggle.classList.toggle('checked');
+    const space = ikGizmoToolToggle.classList.contains('checked') ? 'tool' : 'world';
+    if (viewer.ikControls) viewer.ikControls.setGizmoSpace(space);
+});
+
+// Cycle through the joint solutions for the IK target, previewed as a ghost robot
+ikSolutionsFind.addEventListener('click', () => {
+    if (viewer.ikControls && !viewer.ikControls.findSolutions().length) {
+        ikSolutionsLabel.textContent = 'None found';
+    }
+});
+
+ikSolutionsPrev.addEventListener('click', () => {
+    const ik = viewer.ikControls;
+    if (ik) ik.previewSolution(ik.solutionIndex - 1);
+});
+
+ikSolutionsNext.addEventListener('click', () => {
+    const ik = viewer.ikControls;
+    if (ik) ik.previewSolution(ik.solutionIndex + 1);
+});
+
+ikSolutionsApply.addEventListener('click', () => {
+    if (viewer.ikControls) viewer.ikControls.applySolution();
+});
+
+viewer.addEventListener('ik-solutions', e => {
+
+    const { solutions, index } = e.detail;
+    const found = solutions.length !== 0;
+    ikSolutionsPrev.disabled = !found;
+    ikSolutionsNext.disabled = !found;
+    ikSolutionsApply.disabled = !found;
+
+    ikSolutionsLabel.textContent = found ? `${ index + 1 } of ${ solutions.length }` : '';
+
+});
+
+// Show the distance to the IK target and whether it can be reached while dragging
+const IK_STATUS_LABELS = {
+    'reachable': 'Reachable',
+    'near-limits': 'Near joint limits',
+    'unreachable': 'Out of reach',
+};
+let ikDragging = false;
+
+viewer.addEventListener('manipulate-start', () => ikDragging = viewer.ikMode);
+viewer.addEventListener('manipulate-end', () => {
+    ikDragging = false;
+    ikHud.classList.add('hidden');
+});
+
+viewer.addEventListener('ik-result', e => {
+
+    if (!ikDragging) return;
+
+    const { status, error, saturatedJoints } = e.detail;
+    let text = `${ (error.position * 1000).toFixed(1) } mm to target · ${ IK_STATUS_LABELS[status] }`;
+    if (saturatedJoints.length) text += ` (${ saturatedJoints.join(', ') })`;
+
+    ikHud.textContent = text;
+    ikHud.className = status;
+
+});
+
+// ask which robot to load when a zip archive holds several
+viewer.addEventListener('archive-select', e => {
+
+    e.preventDefault();
+    showModelPicker(e.detail.models).then(model => e.detail.select(model || pickModelFile(e.detail.models)));
+
+});
+
 viewer.addEventListener('ignore-limits-change', () => {
 
     Object
@@ -252,6 +632,11 @@ viewer.addEventListener('urdf-processed', () => {
             <span title="${ joint.name }">${ joint.name }</span>
             <input type="range" value="0" step="0.0001"/>
             <input type="number" step="0.0001" />
+            <div class="joint-ik">
+                <label title="Keep this joint still while solving IK"><input type="checkbox" class="joint-lock"/> Lock</label>
+                <label title="How much of the IK motion this joint takes up">Weight <input type="number" class="joint-weight" min="0" step="0.1" value="1"/></label>
+            </div>
+            <div class="joint-details"></div>
             `;
             li.setAttribute('joint-type', joint.jointType);
             li.setAttribute('joint-name', joint.name);
@@ -261,6 +646,10 @@ viewer.addEventListener('urdf-processed', () => {
             // update the joint display
             const slider = li.querySelector('input[type="range"]');
             const input = li.querySelector('input[type="number"]');
+            const details = li.querySelector('.joint-details');
+            const ikOptions = li.querySelector('.joint-ik');
+            const lockInput = li.querySelector('.joint-lock');
+            const weightInput = li.querySelector('.joint-weight');
             li.update = () => {
                 const degMultiplier = radiansToggle.classList.contains('checked') ? 1.0 : RAD2DEG;
                 let angle = joint.angle;
@@ -293,6 +682,9 @@ viewer.addEventListener('urdf-processed', () => {
                     input.min = joint.limit.lower * degMultiplier;
                     input.max = joint.limit.upper * degMultiplier;
                 }
+
+                details.textContent = formatJointDetails(joint, degMultiplier);
+                details.title = details.textContent;
             };
 
             switch (joint.jointType) {
@@ -308,6 +700,21 @@ viewer.addEventListener('urdf-processed', () => {
 
             }
 
+            // mimic joints follow the joint they mimic in IK
+            if (!['continuous', 'prismatic', 'revolute'].includes(joint.jointType) || joint.mimicJoint) {
+                ikOptions.remove();
+            }
+
+            lockInput.addEventListener('change', () => {
+                if (viewer.ikControls) viewer.ikControls.setJointLocked(joint.name, lockInput.checked);
+            });
+
+            weightInput.addEventListener('change', () => {
+                const weight = Math.max(0, parseFloat(weightInput.value));
+                weightInput.value = isFinite(weight) ? weight : 1;
+                if (viewer.ikControls) viewer.ikControls.setJointWeight(joint.name, parseFloat(weightInput.value));
+            });
+
             slider.addEventListener('input', () => {
                 viewer.setJointValue(joint.name, slider.value);
                 li.update();
@@ -329,53 +736,8 @@ viewer.addEventListener('urdf-processed', () => {
 
 document.addEventListener('WebComponentsReady', () => {
 
-    viewer.loadMeshFunc = (path, manager, done) => {
-
-        const ext = path.split(/\./g).pop().toLowerCase();
-        switch (ext) {
-
-            case 'gltf':
-            case 'glb':
-                new GLTFLoader(manager).load(
-                    path,
-                    result => done(result.scene),
-                    null,
-                    err => done(null, err),
-                );
-                break;
-            case 'obj':
-                new OBJLoader(manager).load(
-                    path,
-                    result => done(result),
-                    null,
-                    err => done(null, err),
-                );
-                break;
-            case 'dae':
-                new ColladaLoader(manager).load(
-                    path,
-                    result => done(result.scene),
-                    null,
-                    err => done(null, err),
-                );
-                break;
-            case 'stl':
-                new STLLoader(manager).load(
-                    path,
-                    result => {
-                        const material = new THREE.MeshPhongMaterial();
-                        const mesh = new THREE.Mesh(result, material);
-                        done(mesh);
-                    },
-                    null,
-                    err => done(null, err),
-                );
-                break;
-
-        }
-
-    };
-
+    // Meshes are loaded through the URDFLoader mesh registry, additional formats
+    // can be added with URDFLoader.registerMeshLoader(ext, fn).
     // Robot will be loaded automatically by loadRobotManifest()
 
     if (/javascript\/example\/bundle/i.test(window.location)) {
@@ -396,40 +758,45 @@ let nextTarget = new THREE.Vector3();
 let transitionProgress = 1; // 0 to 1
 let transitionDuration = 2000; // milliseconds
 let lastTransitionTime = 0;
+let animationTip = null; // The TCP frame that follows the animation target
+let animationWorkspace = null; // Sampled TCP positions the animation targets are picked from
 
-// Generate random point in cube workspace in front of robot
+// Pick a random reachable TCP position relative to the robot root from the sampled workspace,
+// preferring ones above the base so the arm doesn't sweep through the floor
 const generateRandomTarget = () => {
-    // Actual coordinate system: X = forward/back, Y = up/down, Z = left/right
-    // Define a cube workspace in front of the robot
-
-    // X range: forward in front of robot
-    const minX = 0.1;
-    const maxX = 0.45;
-
-    // Y range: up/down (vertical)
-    const minY = 0.1;
-    const maxY = 0.45;
-
-    // Z range: left/right (side to side)
-    const minZ = -0.25;
-    const maxZ = 0.25;
-
-    // Generate random point in cube
-    return new THREE.Vector3(
-        minX + Math.random() * (maxX - minX),
-        minY + Math.random() * (maxY - minY),
-        minZ + Math.random() * (maxZ - minZ)
-    );
+    const { positions, base } = animationWorkspace;
+    const count = positions.length / 3;
+    let index = Math.floor(Math.random() * count);
+    for (let i = 0; i < 20 && positions[index * 3 + 2] < base.z; i++) {
+        index = Math.floor(Math.random() * count);
+    }
+    return new THREE.Vector3().fromArray(positions, index * 3);
+};
+
+// Animate the given TCP frame or stop the animation if no joint moves it
+const startAnimation = tip => {
+    const workspace = tip ? sampleWorkspace(viewer.robot, tip, { samples: 2000 }) : null;
+    if (!workspace || workspace.joints.length === 0) {
+        animationTip = null;
+        animationWorkspace = null;
+        return;
+    }
+
+    animationTip = tip;
+    animationWorkspace = workspace;
+    currentTarget = generateRandomTarget();
+    nextTarget = generateRandomTarget();
+    transitionProgress = 1;
 };
 
 // init 2D UI and animation
 const updateAngles = () => {
-    if (!viewer.robot || !viewer.ikControls) {
+    if (!viewer.robot || !animationTip) {
         return;
     }
 
     // Don't run animation if user is manually dragging IK
-    if (viewer.ikControls.isDragging) {
+    if (viewer.ikControls && viewer.ikControls.isDragging) {
         return;
     }
 
@@ -456,31 +823,16 @@ const updateAngles = () => {
     // Interpolate between current and next target
     const targetPos = new THREE.Vector3().lerpVectors(currentTarget, nextTarget, t);
 
-    // Apply IK if solver is active
-    if (viewer.ikControls && viewer.ikControls.currentSolver && viewer.ikControls.currentTarget) {
-        // Hide target visual during animation
-        if (viewer.ikControls.currentTargetVisual) {
-            viewer.ikControls.currentTargetVisual.visible = false;
-        }
-
-        // Update target position
-        viewer.ikControls.currentTarget.position.copy(targetPos);
-
-        // Solve IK
-        viewer.ikControls.currentSolver.solve();
-
-        // Lock end effector orientation if needed
-        if (viewer.ikControls.shouldLockSelectedJoint &&
-            viewer.ikControls.selectedEffectorOriginalAngle !== null &&
-            viewer.ikControls.selectedEffector) {
-            viewer.ikControls.selectedEffector.setJointValue(
-                viewer.ikControls.selectedEffectorOriginalAngle
-            );
-        }
-
-        // Force visual update
-        viewer.redraw();
-    }
+    // Targets are sampled relative to the robot root. Respect the locks and weights set
+    // on the joint slider rows.
+    const { ikControls } = viewer;
+    viewer.solveIK(animationTip, { position: targetPos }, {
+        maxIters: 20,
+        restarts: 0, // random restarts would make the arm jump between frames
+        apply: true,
+        lockedJoints: ikControls ? [...ikControls.lockedJoints] : [],
+        jointWeights: ikControls ? ikControls.jointWeights : {},
+    });
 };
 
 const updateLoop = () => {
@@ -496,6 +848,78 @@ const updateLoop = () => {
 // Store robot manifest data
 let robotManifestData = [];
 
+// Shareable view state in the query string. The initial state is applied
+// once the robot it refers to has loaded.
+let pendingURLState = readURLState();
+let urlUpdateTimeout = null;
+
+const urlToggles = {
+    ik: ikModeToggle,
+    collision: collisionToggle,
+    radians: radiansToggle,
+    limits: limitsToggle,
+};
+
+const getURLState = () => {
+    const toggles = {};
+    for (const key in urlToggles) toggles[key] = urlToggles[key].classList.contains('checked');
+
+    // joint values only make sense for robots that can be loaded from the manifest
+    const manifestRobot = robotManifestData.find(r => r.path === viewer.urdf);
+    let jointValues;
+    if (manifestRobot && viewer.robot) {
+        jointValues = {};
+        Object.values(viewer.robot.joints).forEach(j => {
+            if (j.type === 'URDFMimicJoint') return;
+            if (j.jointValue.some(v => v !== 0)) jointValues[j.name] = [...j.jointValue];
+        });
+    }
+
+    return {
+        robot: manifestRobot ? manifestRobot.name : undefined,
+        up: viewer.up,
+        camera: viewer.camera.position.toArray(),
+        target: viewer.controls.target.toArray(),
+        jointValues,
+        toggles,
+    };
+};
+
+const scheduleURLUpdate = () => {
+    // keep the initial state in the url until it has been applied
+    if (pendingURLState) return;
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = setTimeout(() => writeURLState(getURLState()), 300);
+};
+
+const applyURLState = state => {
+    if (state.jointValues) {
+        for (const name in state.jointValues) viewer.setJointValue(name, ...state.jointValues[name]);
+    }
+
+    if (state.camera) viewer.camera.position.fromArray(state.camera);
+    if (state.target) viewer.controls.target.fromArray(state.target);
+    if (state.camera || state.target) {
+        viewer.controls.update();
+        viewer.redraw();
+    }
+};
+
+viewer.addEventListener('urdf-processed', () => {
+    if (pendingURLState) {
+        const state = pendingURLState;
+        pendingURLState = null;
+        applyURLState(state);
+    }
+    scheduleURLUpdate();
+});
+
+viewer.addEventListener('angle-change', scheduleURLUpdate);
+viewer.controls.addEventListener('change', scheduleURLUpdate);
+upSelect.addEventListener('change', scheduleURLUpdate);
+viewer.addEventListener('manipulate-end', scheduleURLUpdate);
+Object.values(urlToggles).forEach(toggle => toggle.addEventListener('click', scheduleURLUpdate));
+
 // Update robot info display
 const updateRobotInfo = (robotName) => {
     const robot = robotManifestData.find(r => r.name === robotName);
@@ -539,14 +963,37 @@ const loadRobotManifest = async () => {
 
         updateList();
 
-        // Load first robot by default
-        if (robots.length > 0) {
-            const firstRobot = urdfOptionsContainer.querySelector('li[urdf]');
-            if (firstRobot) {
-                firstRobot.dispatchEvent(new Event('click'));
+        // Restore the toggles from the url before the robot loads
+        const state = pendingURLState;
+        for (const key in state.toggles) {
+            const toggle = urlToggles[key];
+            if (toggle.classList.contains('checked') !== state.toggles[key]) toggle.click();
+        }
+
+        // Load the robot from the url or the first robot by default
+        const requested = state.robot && [...urdfOptionsContainer.querySelectorAll('li[urdf]')]
+            .find(li => li.getAttribute('data-robot-name') === state.robot);
+        const robotItem = requested || urdfOptionsContainer.querySelector('li[urdf]');
+        if (robotItem) {
+            robotItem.dispatchEvent(new Event('click'));
+
+            if (state.up) {
+                viewer.up = state.up;
+                upSelect.value = viewer.up;
             }
+
+            // don't animate over a pose that was shared
+            if (state.jointValues || state.toggles.ik === false) {
+                animToggle.classList.remove('checked');
+            }
+        }
+
+        if (state.robot && !requested) {
+            // the requested robot is unavailable so only keep the view settings
+            pendingURLState = { ...state, jointValues: undefined };
         }
     } catch (error) {
+        pendingURLState = null;
         console.error('Failed to load robot manifest:', error);
     }
 };
@@ -564,6 +1011,8 @@ const updateList = () => {
             viewer.up = '+Z';
             document.getElementById('up-select').value = viewer.up;
             viewer.urdf = urdf;
+            const manifestRobot = robotManifestData.find(r => r.name === robotName);
+            viewer.tcp = manifestRobot && manifestRobot.tcp || null;
             animToggle.classList.add('checked');
             setColor(color);
 
@@ -593,44 +1042,10 @@ document.addEventListener('WebComponentsReady', () => {
                 updateInteractionInstruction();
             }
 
-            // Initialize IK animation - pick joint5 as effector
-            const joints = Object.keys(viewer.robot.joints)
-                .filter(name => {
-                    const j = viewer.robot.joints[name];
-                    return j.isURDFJoint && j.jointType !== 'fixed';
-                })
-                .sort()
-                .map(name => viewer.robot.joints[name]);
-
-            if (joints.length > 0) {
-                // Use second-to-last joint (joint5) instead of last (joint6)
-                const endEffector = joints.length >= 2 ? joints[joints.length - 2] : joints[joints.length - 1];
-
-                // Setup IK solver for end effector
-                viewer.ikControls.selectedEffector = endEffector;
-                const solver = viewer.ikControls.createSolverForJoint(endEffector);
-
-                // Initialize targets
-                if (viewer.ikControls.currentTarget) {
-                    currentTarget = generateRandomTarget();
-                    nextTarget = generateRandomTarget();
-                    viewer.ikControls.currentTarget.position.copy(currentTarget);
-                    transitionProgress = 1;
-                }
-
-                // Hide target visual during animation
-                if (viewer.ikControls.currentTargetVisual) {
-                    viewer.ikControls.currentTargetVisual.visible = false;
-                }
-            }
+            // Initialize IK animation - animate the tool center point
+            startAnimation(viewer.tcpFrame);
         } else if (!willBeChecked) {
-            // Clean up animation's IK solver when turning off animation
-            if (viewer.ikControls) {
-                viewer.ikControls.cleanupCurrentSolver();
-                viewer.ikControls.selectedEffector = null;
-                viewer.ikControls.selectedEffectorOriginalAngle = null;
-                viewer.ikControls.shouldLockSelectedJoint = false;
-            }
+            animationTip = null;
         }
     });
 
@@ -638,9 +1053,14 @@ document.addEventListener('WebComponentsReady', () => {
     viewer.addEventListener('manipulate-start', e => {
         animToggle.classList.remove('checked');
     });
+    // keep animating the new TCP, or stop if the robot has none
+    viewer.addEventListener('tcp-change', () => {
+        if (animationTip) startAnimation(viewer.tcpFrame);
+    });
     viewer.addEventListener('urdf-processed', e => {
         // Reset animation state when new robot loads
         transitionProgress = 1;
+        animationTip = null;
 
         // Start animation automatically since toggle starts checked
         if (animToggle.classList.contains('checked') && viewer.robot && viewer.ikControls) {
@@ -653,36 +1073,8 @@ document.addEventListener('WebComponentsReady', () => {
 
             // Wait a bit for IK controls to be ready
             setTimeout(() => {
-                // Find end effector - use joint5 instead of joint6
-                const joints = Object.keys(viewer.robot.joints)
-                    .filter(name => {
-                        const j = viewer.robot.joints[name];
-                        return j.isURDFJoint && j.jointType !== 'fixed';
-                    })
-                    .sort()
-                    .map(name => viewer.robot.joints[name]);
-
-                if (joints.length > 0) {
-                    // Use second-to-last joint (joint5)
-                    const endEffector = joints.length >= 2 ? joints[joints.length - 2] : joints[joints.length - 1];
-
-                    // Simulate clicking on end effector
-                    viewer.ikControls.selectedEffector = endEffector;
-                    viewer.ikControls.createSolverForJoint(endEffector);
-
-                    // Initialize targets
-                    if (viewer.ikControls.currentTarget) {
-                        currentTarget = generateRandomTarget();
-                        nextTarget = generateRandomTarget();
-                        viewer.ikControls.currentTarget.position.copy(currentTarget);
-                        transitionProgress = 1;
-                    }
-
-                    // Hide target visual during animation
-                    if (viewer.ikControls.currentTargetVisual) {
-                        viewer.ikControls.currentTargetVisual.visible = false;
-                    }
-                }
+                // Animate the tool center point
+                startAnimation(viewer.tcpFrame);
             }, 100);
         }
     });
@@ -0,0 +1,141 @@
+import { Object3D, Vector3, Quaternion, Euler } from 'three';
+
+// Link names that conventionally mark the tool center point in a robot description,
+// in order of preference
+const TCP_LINK_NAMES = [
+    /^tcp$/i,
+    /^tool_center_point$/i,
+    /^tool0$/i,
+    /(^|_)tcp(_link)?$/i,
+    /^(ee|end_effector)(_link)?$/i,
+    /^ee_.+_link$/i,
+];
+
+// Returns the link that marks the tool center point by name or null if there is none
+export function findTCPLink(robot) {
+
+    const links = Object.values(robot.links);
+    for (const regex of TCP_LINK_NAMES) {
+
+        const link = links.find(l => regex.test(l.urdfName));
+        if (link) return link;
+
+    }
+
+    return null;
+
+}
+
+// Returns the first movable joints below the given object
+function getNextMovableJoints(object) {
+
+    const joints = [];
+    object.children.forEach(child => {
+
+        if (child.isURDFJoint && child.jointType !== 'fixed') {
+
+            joints.push(child);
+
+        } else if (child.isURDFJoint || child.isURDFLink) {
+
+            joints.push(...getNextMovableJoints(child));
+
+        }
+
+    });
+
+    return joints;
+
+}
+
+// Follows the serial chain of movable joints out from the root and returns the link
+// where it ends or branches, eg the flange that gripper fingers are mounted to. Robots
+// that branch at the root, like bimanual ones, follow the first branch. Returns null if
+// the robot has no movable joints.
+export function findFlangeLink(robot) {
+
+    let link = robot;
+    while (true) {
+
+        const next = getNextMovableJoints(link);
+        const childLink = next.length === 1 || link === robot && next.length ? next[0].children.find(c => c.isURDFLink) : null;
+        if (!childLink) return link === robot ? null : link;
+
+        link = childLink;
+
+    }
+
+}
+
+// Resolves the tool center point of the robot from a { frame, xyz, rpy } description.
+// Without a valid frame a conventionally named link is used and then the arm flange.
+// The xyz and rpy offsets are relative to the frame, matching URDF origins, and are only
+// applied to the configured frame. The frame is null when none of these exist.
+export function resolveTCP(robot, config = null) {
+
+    let frame = null;
+    let source = 'config';
+    if (config && config.frame) {
+
+        // links take precedence over joints that share their name
+        frame = robot.links[config.frame] || robot.frames[config.frame] || null;
+        if (!frame) {
+
+            console.warn(`toolCenterPoint: Could not find TCP frame "${ config.frame }".`);
+
+        }
+
+    }
+
+    if (!frame) {
+
+        frame = findTCPLink(robot);
+        source = 'urdf';
+
+    }
+
+    if (!frame) {
+
+        frame = findFlangeLink(robot);
+        source = 'flange';
+
+    }
+
+    // the offset is relative to the configured frame so it doesn't apply to a fallback
+    const hasOffset = config && (config.xyz || config.rpy);
+    if (source !== 'config' && hasOffset) {
+
+        const reason = config.frame ? `relative to the missing frame "${ config.frame }"` : 'not given a frame';
+        console.warn(`toolCenterPoint: Ignoring the TCP offset as it is ${ reason }.`);
+
+    }
+
+    const offset = source === 'config' ? config : null;
+    const xyz = offset && offset.xyz || [0, 0, 0];
+    const rpy = offset && offset.rpy || [0, 0, 0];
+    return {
+        frame,
+        source,
+        position: new Vector3(...xyz),
+        quaternion: new Quaternion().setFromEuler(new Euler(rpy[0], rpy[1], rpy[2], 'ZYX')),
+    };
+
+}
+
+// Creates an object at the tool center point attached to the frame it moves with or
+// returns null if the robot has no tool center point
+export function createTCPFrame(robot, config = null) {
+
+    const { frame, source, position, quaternion } = resolveTCP(robot, config);
+    if (!frame) return null;
+
+    const tcp = new Object3D();
+    tcp.name = 'tcp';
+    tcp.userData.source = source;
+    tcp.position.copy(position);
+    tcp.quaternion.copy(quaternion);
+    frame.add(tcp);
+
+    return tcp;
+
+}
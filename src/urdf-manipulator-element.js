@@ -11,12 +11,20 @@ import { URDFIKControls } from './URDFIKControls.js';
 // joint-mouseout: Fired when a joint is no longer hovered over
 // manipulate-start: Fires when a joint is manipulated
 // manipulate-end: Fires when a joint is done being manipulated
+// ik-target-change: Fires when the IK target moves, with the target pose relative to the robot root
+//                   or null when the target is released
+// ik-result: Fires after each IK solve with the effector name, the reachability status ("reachable",
+//            "near-limits" or "unreachable"), the residual error and the joints at their limits
+// ik-solutions: Fires when IK solutions are found, previewed or cleared with the list of solutions
+//               and the index of the previewed one
+// ik-targets-change: Fires when IK targets are grabbed, pinned or released with the list of targets,
+//                    each with the effector name and whether it is pinned or the current target
 export default
 class URDFManipulator extends URDFViewer {
 
     static get observedAttributes() {
 
-        return ['highlight-color', 'ik-mode', ...super.observedAttributes];
+        return ['highlight-color', 'ik-mode', 'ik-solver', 'ik-constraint', 'ik-objective', ...super.observedAttributes];
 
     }
 
@@ -29,6 +37,18 @@ class URDFManipulator extends URDFViewer {
     get ikMode() { return this.hasAttribute('ik-mode'); }
     set ikMode(val) { val ? this.setAttribute('ik-mode', !!val) : this.removeAttribute('ik-mode'); }
 
+    // "dls" for the full pose solver or "ccd" for the position only solver
+    get ikSolver() { return this.getAttribute('ik-solver') || 'dls'; }
+    set ikSolver(val) { val ? this.setAttribute('ik-solver', val) : this.removeAttribute('ik-solver'); }
+
+    // Orientation constraint of the pose solver, "free", "keep", "down" or "yaw"
+    get ikConstraint() { return this.getAttribute('ik-constraint') || 'keep'; }
+    set ikConstraint(val) { val ? this.setAttribute('ik-constraint', val) : this.removeAttribute('ik-constraint'); }
+
+    // Secondary objective of the pose solver, "home", "limits", "manipulability" or null for none
+    get ikObjective() { return this.getAttribute('ik-objective') || null; }
+    set ikObjective(val) { val ? this.setAttribute('ik-objective', val) : this.removeAttribute('ik-objective'); }
+
     constructor(...args) {
 
         super(...args);
@@ -172,6 +192,18 @@ class URDFManipulator extends URDFViewer {
                 this._updateControlMode();
                 break;
 
+            case 'ik-solver':
+                if (this.ikControls) this.ikControls.solverType = this.ikSolver;
+                break;
+
+            case 'ik-constraint':
+                if (this.ikControls) this.ikControls.setConstraintMode(this.ikConstraint);
+                break;
+
+            case 'ik-objective':
+                if (this.ikControls) this.ikControls.setNullSpaceObjective(this.ikObjective);
+                break;
+
         }
 
     }
@@ -179,10 +211,25 @@ class URDFManipulator extends URDFViewer {
     _setupIKControls() {
         if (this.robot && !this.ikControls) {
             this.ikControls = new URDFIKControls(this.robot, this.scene, this.camera, this.renderer.domElement, this);
+            this.ikControls.solverType = this.ikSolver;
+            this.ikControls.constraintMode = this.ikConstraint;
+            this.ikControls.nullSpaceObjective = this.ikObjective;
+            this.ikControls.tcpFrame = this.tcpFrame;
             this._updateControlMode();
         } else if (this.robot && this.ikControls) {
             // Robot changed - update the IKControls with the new robot
             this.ikControls.updateRobot(this.robot);
+            this.ikControls.tcpFrame = this.tcpFrame;
+        }
+    }
+
+    _updateTCP() {
+        super._updateTCP();
+
+        // A new TCP invalidates the targets
+        if (this.ikControls) {
+            this.ikControls.clearTargets();
+            this.ikControls.tcpFrame = this.tcpFrame;
         }
     }
     
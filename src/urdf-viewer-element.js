@@ -1,17 +1,72 @@
 import * as THREE from 'three';
 import { MeshStandardMaterial } from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
 import URDFLoader from './URDFLoader.js';
+import SDFLoader from './SDFLoader.js';
+import MJCFLoader from './MJCFLoader.js';
+import { URDFValidationReport } from './URDFValidator.js';
+import { solveIK, solveIKSolutions } from './URDFIKControls.js';
+import { createTCPFrame } from './toolCenterPoint.js';
+import { sampleWorkspace, getWorkspaceColors } from './workspace.js';
+import { isZipFile, loadZipFiles, getModelFiles, pickModelFile, createFileURLModifier } from './zipLoader.js';
 
 const emptyRaycast = () => {};
 
+// Jacobi eigen decomposition of a symmetric matrix given as an array of rows. Returns
+// the eigenvalues and a matrix whose columns are the matching unit eigenvectors.
+const symmetricEigen = (M) => {
+  const n = M.length;
+  const A = M.map(row => [...row]);
+  const V = A.map((row, i) => row.map((v, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 32; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += Math.abs(A[p][q]);
+    if (off < 1e-15) break;
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(A[p][q]) < 1e-20) continue;
+        const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = A[k][p], akq = A[k][q];
+          A[k][p] = c * akp - s * akq; A[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = A[p][k], aqk = A[q][k];
+          A[p][k] = c * apk - s * aqk; A[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p], vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq; V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: A.map((row, i) => row[i]), vectors: V };
+};
+
+// symmetricEigen for a Matrix3 with the eigenvectors as the columns of a Matrix4
+const symmetricEigen3 = (m) => {
+  const a = m.toArray(); // column major, symmetric so layout doesn't matter
+  const { values, vectors: V } = symmetricEigen([[a[0], a[3], a[6]], [a[1], a[4], a[7]], [a[2], a[5], a[8]]]);
+  const vectors = new THREE.Matrix4().set(
+    V[0][0], V[0][1], V[0][2], 0,
+    V[1][0], V[1][1], V[1][2], 0,
+    V[2][0], V[2][1], V[2][2], 0,
+    0, 0, 0, 1,
+  );
+  return { values, vectors };
+};
+
 const ev = (name, detail) =>
   new CustomEvent(name, { bubbles: true, cancelable: true, composed: true, detail });
 
 export default class URDFViewer extends HTMLElement {
   static get observedAttributes() {
-    return ['package', 'urdf', 'up', 'display-shadow', 'ambient-color', 'ignore-limits', 'show-collision'];
+    return ['package', 'urdf', 'up', 'display-shadow', 'ambient-color', 'ignore-limits', 'show-collision', 'show-inertia', 'show-tcp', 'show-manipulability', 'manipulability-ellipsoid', 'show-singularities', 'singularity-threshold', 'show-workspace', 'workspace-display'];
   }
 
   // small helpers
@@ -46,6 +101,37 @@ export default class URDFViewer extends HTMLElement {
   get showCollision() { return this._getBoolAttr('show-collision'); }
   set showCollision(v) { this._setBoolAttr('show-collision', v); }
 
+  get showInertia() { return this._getBoolAttr('show-inertia'); }
+  set showInertia(v) { this._setBoolAttr('show-inertia', v); }
+
+  get showTCP() { return this._getBoolAttr('show-tcp'); }
+  set showTCP(v) { this._setBoolAttr('show-tcp', v); }
+
+  get showManipulability() { return this._getBoolAttr('show-manipulability'); }
+  set showManipulability(v) { this._setBoolAttr('show-manipulability', v); }
+
+  // "velocity" or "force" ellipsoid drawn at the TCP when showing manipulability
+  get manipulabilityEllipsoid() { return this.getAttribute('manipulability-ellipsoid') || 'velocity'; }
+  set manipulabilityEllipsoid(v) { v ? this.setAttribute('manipulability-ellipsoid', v) : this.removeAttribute('manipulability-ellipsoid'); }
+
+  get showSingularities() { return this._getBoolAttr('show-singularities'); }
+  set showSingularities(v) { this._setBoolAttr('show-singularities', v); }
+
+  // smallest singular value of the TCP jacobian below which a pose counts as singular
+  get singularityThreshold() { return parseFloat(this.getAttribute('singularity-threshold')) || 0.02; }
+  set singularityThreshold(v) { v ? this.setAttribute('singularity-threshold', v) : this.removeAttribute('singularity-threshold'); }
+
+  get showWorkspace() { return this._getBoolAttr('show-workspace'); }
+  set showWorkspace(v) { this._setBoolAttr('show-workspace', v); }
+
+  // "points" to draw the workspace samples or "hull" for their convex hull
+  get workspaceDisplay() { return this.getAttribute('workspace-display') || 'points'; }
+  set workspaceDisplay(v) { v ? this.setAttribute('workspace-display', v) : this.removeAttribute('workspace-display'); }
+
+  // tool center point as { frame, xyz, rpy } for the current model, cleared when a new model loads
+  get tcp() { return this._tcpConfig; }
+  set tcp(v) { this._tcpConfig = v || null; this._updateTCP(); }
+
   get jointValues() {
     const out = {};
     if (this.robot) {
@@ -68,7 +154,15 @@ export default class URDFViewer extends HTMLElement {
     this.robot = null;
     this.loadMeshFunc = null;
     this.urlModifierFunc = null;
+    this._archive = null;
     this.envMap = null;
+    this._inertiaHelpers = null;
+    this._tcpConfig = null;
+    this.tcpFrame = null;
+    this._manipulabilityHelper = null;
+    this._singularityHelper = null;
+    this._workspaceHelper = null;
+    this.workspace = null;
 
     // scene
     const scene = new THREE.Scene();
@@ -145,6 +239,9 @@ export default class URDFViewer extends HTMLElement {
         this.updateSize();
         if (this._dirty || this.autoRedraw) {
           if (!this.noAutoRecenter) this._updateEnvironment();
+          this._updateInertiaHelpers();
+          this._updateManipulabilityHelper();
+          this._updateSingularityHelper();
           renderer.render(scene, camera);
           this._dirty = false;
         }
@@ -183,6 +280,11 @@ export default class URDFViewer extends HTMLElement {
       this.ambientLight.groundColor.set('#000').lerp(this.ambientLight.color, 0.5);
     }
     if (attr === 'ignore-limits') this._setIgnoreLimits(this.ignoreLimits, true);
+    if (attr === 'show-inertia') this._updateInertiaVisibility();
+    if (attr === 'show-tcp') this._updateTCPVisibility();
+    if (attr === 'show-manipulability' || attr === 'manipulability-ellipsoid') this._updateManipulabilityVisibility();
+    if (attr === 'show-singularities' || attr === 'singularity-threshold') this._updateSingularityVisibility();
+    if (attr === 'show-workspace' || attr === 'workspace-display') this._updateWorkspaceVisibility();
   }
 
   // public api
@@ -212,6 +314,138 @@ export default class URDFViewer extends HTMLElement {
 
   setJointValues(values) { for (const k in values) this.setJointValue(k, values[k]); }
 
+  // Solves IK for the loaded robot without touching it, see solveIK in URDFIKControls.js.
+  // Passing "apply" sets the solved values through setJointValues so events fire.
+  solveIK(tipFrame, targetPose, options = {}) {
+    if (!this.robot) return null;
+    const result = solveIK(this.robot, tipFrame, targetPose, { ...options, apply: false });
+    if (options.apply) {
+      for (const k in result.jointValues) this.setJointValue(k, ...[].concat(result.jointValues[k]));
+    }
+    return result;
+  }
+
+  // Returns every distinct IK solution for the target, closest to the current pose first,
+  // see solveIKSolutions in URDFIKControls.js. The robot is left unchanged.
+  solveIKSolutions(tipFrame, targetPose, options = {}) {
+    if (!this.robot) return [];
+    return solveIKSolutions(this.robot, tipFrame, targetPose, options);
+  }
+
+  // Returns the tool center point pose relative to the robot root
+  getTCPPose() {
+    if (!this.robot || !this.tcpFrame) return null;
+    this.robot.updateMatrixWorld(true);
+    const position = new THREE.Vector3(), quaternion = new THREE.Quaternion();
+    new THREE.Matrix4()
+      .copy(this.robot.matrixWorld).invert()
+      .multiply(this.tcpFrame.matrixWorld)
+      .decompose(position, quaternion, new THREE.Vector3());
+    return { position, quaternion };
+  }
+
+  // Returns the manipulability of the TCP position for the current pose from the translational rows
+  // of the jacobian: the volume measure, the condition number, the singular values and a matrix with
+  // the matching principal directions of the velocity ellipsoid relative to the robot root
+  getManipulability() {
+    if (!this.robot || !this.tcpFrame) return null;
+    const { jacobian, joints } = this.robot.getJacobian(this.tcpFrame);
+    const [jx, jy, jz] = jacobian;
+    const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+    const JJt = new THREE.Matrix3().set(
+      dot(jx, jx), dot(jx, jy), dot(jx, jz),
+      dot(jy, jx), dot(jy, jy), dot(jy, jz),
+      dot(jz, jx), dot(jz, jy), dot(jz, jz),
+    );
+    const { values, vectors } = symmetricEigen3(JJt);
+    const singularValues = values.map(v => Math.sqrt(Math.max(v, 0)));
+    const min = Math.min(...singularValues), max = Math.max(...singularValues);
+    return {
+      manipulability: singularValues[0] * singularValues[1] * singularValues[2],
+      conditionNumber: min > 1e-9 ? max / min : Infinity,
+      singularValues,
+      directions: vectors,
+      joints,
+    };
+  }
+
+  // Checks the current pose for a singularity from the smallest singular value of the TCP jacobian,
+  // with the linear rows divided by the reach of the arm so the values are unitless. The joints
+  // are the ones moving along the joint motion that leaves the tool still. The type is "wrist"
+  // when those are all in the outer half of the chain, otherwise "shoulder" when the base joint
+  // takes part and "elbow" if it doesn't.
+  getSingularity() {
+    if (!this.robot || !this.tcpFrame) return null;
+    const { jacobian, joints } = this.robot.getJacobian(this.tcpFrame);
+    if (joints.length === 0) return null;
+
+    this.robot.updateMatrixWorld(true);
+    const points = [...joints.map(name => this.robot.joints[name]), this.tcpFrame]
+      .map(o => new THREE.Vector3().setFromMatrixPosition(o.matrixWorld));
+    const reach = points.reduce((sum, p, i) => (i === 0 ? 0 : sum + p.distanceTo(points[i - 1])), 0) || 1;
+
+    // the singular values of redundant arms beyond the sixth are always zero
+    const rank = Math.min(joints.length, 6);
+    const columns = joints.map((name, i) => jacobian.map((row, r) => (r < 3 ? row[i] / reach : row[i])));
+    const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+    const { values, vectors } = symmetricEigen(columns.map(a => columns.map(b => dot(a, b))));
+    const index = values.map((v, i) => i).sort((a, b) => values[b] - values[a])[rank - 1];
+
+    const minSingularValue = Math.sqrt(Math.max(values[index], 0));
+    const singular = minSingularValue < this.singularityThreshold;
+    if (!singular) return { singular, type: null, minSingularValue, joints: [] };
+
+    const v = vectors.map(row => Math.abs(row[index]));
+    const vmax = Math.max(...v);
+    const involved = joints.map((name, i) => i).filter(i => v[i] > 0.3 * vmax);
+    let type = 'elbow';
+    if (involved.every(i => i >= joints.length / 2)) type = 'wrist';
+    else if (involved.includes(0)) type = 'shoulder';
+
+    return { singular, type, minSingularValue, joints: involved.map(i => joints[i]) };
+  }
+
+  // Samples the reachable workspace of the TCP and draws it, see sampleWorkspace in workspace.js.
+  // The result is kept in "workspace" until the model changes.
+  computeWorkspace(options = {}) {
+    this.clearWorkspace();
+    if (!this.robot || !this.tcpFrame) return null;
+
+    const workspace = sampleWorkspace(this.robot, this.tcpFrame, options);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(workspace.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(getWorkspaceColors(workspace), 3));
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.005, vertexColors: true }));
+    Object.assign(points, { raycast: emptyRaycast });
+
+    // samples are relative to the robot root
+    const group = new THREE.Group();
+    group.position.copy(this.robot.position);
+    group.quaternion.copy(this.robot.quaternion);
+    group.add(points);
+    this.world.add(group);
+
+    this.workspace = workspace;
+    this._workspaceHelper = { group, points, hull: null };
+    this._updateWorkspaceVisibility();
+    this.dispatchEvent(ev('workspace-change', workspace));
+    return workspace;
+  }
+
+  clearWorkspace() {
+    const helper = this._workspaceHelper;
+    if (helper) {
+      helper.group.removeFromParent();
+      helper.group.traverse(c => { c.geometry?.dispose(); c.material?.dispose(); });
+      this._workspaceHelper = null;
+    }
+    if (this.workspace) {
+      this.workspace = null;
+      this.dispatchEvent(ev('workspace-change', null));
+    }
+    this.redraw();
+  }
+
   // env map
   _initEnvMap() {
     const pmrem = new THREE.PMREMGenerator(this.renderer);
@@ -269,12 +503,15 @@ export default class URDFViewer extends HTMLElement {
     if (this._prevload === key || this._loadScheduled) return;
     this._prevload = key;
     this._loadScheduled = true;
+    this._tcpConfig = null;
 
     if (this.robot) {
       this.robot.traverse(c => c.dispose && c.dispose());
       this.robot.parent.remove(this.robot);
       this.robot = null;
     }
+    this._disposeInertiaHelpers();
+    this.clearWorkspace();
 
     requestAnimationFrame(() => { this._loadUrdf(this.package, this.urdf); this._loadScheduled = false; });
   }
@@ -294,29 +531,85 @@ export default class URDFViewer extends HTMLElement {
     if (!urdf) return;
 
     const requestId = ++this._requestId;
+    if (isZipFile(urdf)) { this._loadZip(urdf, requestId); return; }
+
+    // stop looking up files in a previously loaded archive once a robot from outside it is loaded
+    if (this._archive && !this._archive.models.includes(urdf)) {
+      if (this.urlModifierFunc === this._archive.urlModifier) this.urlModifierFunc = null;
+      this._archive = null;
+    }
+
     const manager = new THREE.LoadingManager();
 
     if (this.urlModifierFunc) manager.setURLModifier(this.urlModifierFunc);
     manager.onLoad = () => {
       if (this._requestId !== requestId) { robot?.traverse(c => c.dispose && c.dispose()); return; }
+      if (!robot) return;
       this.robot = robot;
       this.world.add(robot);
       this._upgradeMaterials(robot);
       this._setIgnoreLimits(this.ignoreLimits);
       this._updateCollisionVisibility();
+      this._updateInertiaVisibility();
+      this._updateTCP();
       this.dispatchEvent(ev('urdf-processed'));
       this.dispatchEvent(ev('geometry-loaded'));
+      // mesh failures are added to the report as they load so dispatch once everything settled
+      this.dispatchEvent(ev('urdf-validation', robot.validation || new URDFValidationReport()));
       this.recenter();
     };
 
-    const loader = new URDFLoader(manager);
+    // pick the loader from the file extension, MJCF loader falls back to URDF for .xml robots
+    const Loader = /\.sdf$/i.test(urdf) ? SDFLoader : /\.xml$/i.test(urdf) ? MJCFLoader : URDFLoader;
+    const loader = new Loader(manager);
     loader.packages = this._parsePackages(pkg);
-    loader.loadMeshCb = this.loadMeshFunc;
+    if (this.loadMeshFunc) loader.loadMeshCb = this.loadMeshFunc;
     loader.fetchOptions = { mode: 'cors', credentials: 'same-origin' };
     loader.parseCollision = true;
 
     let robot = null;
-    loader.load(urdf, model => (robot = model));
+    loader.load(urdf, model => (robot = model), null, err => {
+      if (this._requestId === requestId) this._reportLoadError(err);
+    });
+  }
+
+  // Unpacks the archive and points the file lookup at its entries before loading
+  // the robot inside. When the archive holds several robots an "archive-select"
+  // event is fired which can be canceled to pick one with detail.select(path).
+  _loadZip(url, requestId) {
+    fetch(url, { mode: 'cors', credentials: 'same-origin' })
+      .then(res => {
+        if (!res.ok) throw new Error(`URDFViewer: Failed to load archive '${url}' with error code ${res.status} : ${res.statusText}.`);
+        return res.arrayBuffer();
+      })
+      .then(data => loadZipFiles(data))
+      .then(files => {
+        if (this._requestId !== requestId) return;
+
+        const models = getModelFiles(Object.keys(files));
+        if (models.length === 0) throw new Error(`URDFViewer: No robot description found in archive '${url}'.`);
+
+        this.urlModifierFunc = createFileURLModifier(files, () => this.package);
+        this._archive = { models, urlModifier: this.urlModifierFunc };
+        // set the urdf first so the package change is folded into the same scheduled load
+        const select = model => {
+          this.urdf = model;
+          this.package = model.substring(0, model.lastIndexOf('/')) || '/';
+        };
+
+        if (models.length > 1 && !this.dispatchEvent(ev('archive-select', { url, models, select }))) return;
+        select(pickModelFile(models));
+      })
+      .catch(err => {
+        if (this._requestId === requestId) this._reportLoadError(err);
+      });
+  }
+
+  _reportLoadError(err) {
+    console.error('URDFViewer: Error loading file.', err);
+    const report = new URDFValidationReport();
+    report.error('load-error', err.message || String(err));
+    this.dispatchEvent(ev('urdf-validation', report));
   }
 
   // materials
@@ -344,6 +637,7 @@ export default class URDFViewer extends HTMLElement {
       opacity: m.opacity,
       side: m.side,
     });
+    out.name = m.name;
     if (this.scene.environment) { out.envMap = this.scene.environment; out.envMapIntensity = 0.5; }
     if (out.map) out.map.colorSpace = THREE.SRGBColorSpace;
     out.needsUpdate = true;
@@ -403,6 +697,252 @@ export default class URDFViewer extends HTMLElement {
     this._applyEnvToSceneMaterials();
   }
 
+  // mass properties: per link COM markers, inertia ellipsoids and the whole robot COM
+  _updateInertiaVisibility() {
+    const show = this.showInertia && !!this.robot;
+    if (show && this._inertiaHelpers?.robot !== this.robot) this._buildInertiaHelpers();
+    if (this._inertiaHelpers) this._inertiaHelpers.group.visible = show;
+    this.redraw();
+  }
+
+  _buildInertiaHelpers() {
+    this._disposeInertiaHelpers();
+
+    const group = new THREE.Group();
+    const markerGeometry = new THREE.SphereGeometry(1, 16, 12);
+    const ellipsoidGeometry = new THREE.SphereGeometry(1, 24, 16);
+    const linkMaterial = new THREE.MeshBasicMaterial({ color: 0xffbe38, depthTest: false, transparent: true });
+    const robotMaterial = new THREE.MeshBasicMaterial({ color: 0xff3860, depthTest: false, transparent: true });
+    const ellipsoidMaterial = new THREE.MeshBasicMaterial({ color: 0x38c6ff, transparent: true, opacity: 0.25, depthWrite: false });
+    const addHelper = (material, geometry = markerGeometry) => {
+      const m = new THREE.Mesh(geometry, material);
+      Object.assign(m, { raycast: emptyRaycast, matrixAutoUpdate: false, renderOrder: 1 });
+      group.add(m);
+      return m;
+    };
+
+    const links = [];
+    Object.values(this.robot.links).forEach(link => {
+      const { inertial } = link;
+      if (!inertial || inertial.mass <= 0) return;
+
+      // equivalent uniform density ellipsoid: I1 = m (b^2 + c^2) / 5 and so on
+      const { values, vectors } = symmetricEigen3(inertial.inertia);
+      const [i1, i2, i3] = values;
+      const k = 5 / (2 * inertial.mass);
+      const semiAxes = new THREE.Vector3(
+        Math.sqrt(Math.max(k * (i2 + i3 - i1), 0)),
+        Math.sqrt(Math.max(k * (i1 + i3 - i2), 0)),
+        Math.sqrt(Math.max(k * (i1 + i2 - i3), 0)),
+      );
+
+      const frame = new THREE.Matrix4().compose(inertial.position, inertial.quaternion, new THREE.Vector3(1, 1, 1));
+      const markerMatrix = new THREE.Matrix4().makeTranslation(inertial.position.x, inertial.position.y, inertial.position.z).scale(new THREE.Vector3(0.006, 0.006, 0.006));
+      const ellipsoidMatrix = frame.clone().multiply(vectors).scale(semiAxes.max(new THREE.Vector3(1e-4, 1e-4, 1e-4)));
+
+      links.push({
+        link,
+        marker: addHelper(linkMaterial), markerMatrix,
+        ellipsoid: addHelper(ellipsoidMaterial, ellipsoidGeometry), ellipsoidMatrix,
+      });
+    });
+
+    const robotMarker = addHelper(robotMaterial);
+    robotMarker.renderOrder = 2;
+
+    this.scene.add(group);
+    this._inertiaHelpers = {
+      robot: this.robot, group, links, robotMarker,
+      resources: [markerGeometry, ellipsoidGeometry, linkMaterial, robotMaterial, ellipsoidMaterial],
+    };
+  }
+
+  _updateInertiaHelpers() {
+    const helpers = this._inertiaHelpers;
+    if (!helpers || !helpers.group.visible) return;
+
+    this.world.updateMatrixWorld();
+    helpers.links.forEach(({ link, marker, markerMatrix, ellipsoid, ellipsoidMatrix }) => {
+      marker.matrix.multiplyMatrices(link.matrixWorld, markerMatrix);
+      ellipsoid.matrix.multiplyMatrices(link.matrixWorld, ellipsoidMatrix);
+      marker.matrixWorldNeedsUpdate = ellipsoid.matrixWorldNeedsUpdate = true;
+    });
+
+    const com = this.robot.getCenterOfMass(new THREE.Vector3());
+    helpers.robotMarker.visible = !!com;
+    if (com) {
+      helpers.robotMarker.matrix.makeTranslation(com.x, com.y, com.z).scale(new THREE.Vector3(0.012, 0.012, 0.012));
+      helpers.robotMarker.matrixWorldNeedsUpdate = true;
+    }
+  }
+
+  _disposeInertiaHelpers() {
+    const helpers = this._inertiaHelpers;
+    if (!helpers) return;
+    helpers.group.removeFromParent();
+    helpers.resources.forEach(r => r.dispose());
+    this._inertiaHelpers = null;
+  }
+
+  // tool center point frame and its triad
+  _updateTCP() {
+    // the workspace is sampled for the previous TCP
+    this.clearWorkspace();
+    if (this.tcpFrame) {
+      this.tcpFrame.removeFromParent();
+      this.tcpFrame.traverse(c => { c.geometry?.dispose(); c.material?.dispose(); });
+      this.tcpFrame = null;
+    }
+    if (!this.robot) return;
+
+    // robots without movable joints have no TCP to animate or solve for
+    this.tcpFrame = createTCPFrame(this.robot, this._tcpConfig);
+    if (!this.tcpFrame) {
+      this.dispatchEvent(ev('tcp-change', null));
+      return;
+    }
+
+    const triad = new THREE.AxesHelper(0.05);
+    Object.assign(triad, { raycast: emptyRaycast, renderOrder: 1 });
+    triad.material.depthTest = false;
+    this.tcpFrame.add(triad);
+    this._updateTCPVisibility();
+    this.dispatchEvent(ev('tcp-change', this.tcpFrame));
+  }
+
+  _updateTCPVisibility() {
+    if (this.tcpFrame) this.tcpFrame.children.forEach(c => c.visible = this.showTCP);
+    this.redraw();
+  }
+
+  // manipulability ellipsoid at the TCP, scaled so the largest axis has a fixed size. The velocity
+  // ellipsoid is long where the tool moves fastest and the force ellipsoid where it pushes hardest.
+  _updateManipulabilityVisibility() {
+    if (this.showManipulability && !this._manipulabilityHelper) {
+      const ellipsoid = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 24, 16),
+        new THREE.MeshBasicMaterial({ color: 0xb388ff, transparent: true, opacity: 0.35, depthWrite: false }),
+      );
+      Object.assign(ellipsoid, { raycast: emptyRaycast, matrixAutoUpdate: false, renderOrder: 1 });
+      this.scene.add(ellipsoid);
+      this._manipulabilityHelper = { ellipsoid, last: null };
+    }
+    if (this._manipulabilityHelper) {
+      this._manipulabilityHelper.ellipsoid.visible = this.showManipulability;
+      this._manipulabilityHelper.last = null;
+    }
+    this.redraw();
+  }
+
+  _updateManipulabilityHelper() {
+    const helper = this._manipulabilityHelper;
+    if (!helper || !this.showManipulability) return;
+
+    const result = this.getManipulability();
+    helper.ellipsoid.visible = !!result;
+    if (!result) return;
+
+    this.world.updateMatrixWorld();
+    const size = 0.1, minRadius = 0.02;
+    const force = this.manipulabilityEllipsoid === 'force';
+    const radii = result.singularValues.map(s => force ? 1 / Math.max(s, 1e-6) : s);
+    const largest = Math.max(...radii);
+    const scale = new THREE.Vector3(...radii.map(r => size * Math.max(r / largest, minRadius)));
+
+    const position = new THREE.Vector3().setFromMatrixPosition(this.tcpFrame.matrixWorld);
+    helper.ellipsoid.matrix
+      .extractRotation(this.robot.matrixWorld)
+      .multiply(result.directions)
+      .setPosition(position)
+      .scale(scale);
+    helper.ellipsoid.matrixWorldNeedsUpdate = true;
+
+    // only report when the pose changed rather than on every camera move
+    const { manipulability, conditionNumber } = result;
+    if (!helper.last || helper.last.manipulability !== manipulability || helper.last.conditionNumber !== conditionNumber) {
+      helper.last = result;
+      this.dispatchEvent(ev('manipulability-change', result));
+    }
+  }
+
+  // singularity warning: the links moved by the joints taking part in a singularity are tinted
+  // with overlays sharing their geometry
+  _updateSingularityVisibility() {
+    if (!this._singularityHelper) {
+      const group = new THREE.Group();
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xff3860, transparent: true, opacity: 0.45, depthWrite: false,
+        polygonOffset: true, polygonOffsetFactor: -1, polygonOffsetUnits: -1,
+      });
+      this.scene.add(group);
+      this._singularityHelper = { group, material, overlays: [], robot: null, key: null };
+    }
+    const helper = this._singularityHelper;
+    helper.group.visible = this.showSingularities;
+    helper.key = null;
+    this.redraw();
+  }
+
+  _updateSingularityHelper() {
+    const helper = this._singularityHelper;
+    if (!helper || !this.showSingularities) return;
+
+    const result = this.getSingularity() || { singular: false, type: null, minSingularValue: Infinity, joints: [] };
+    const key = result.singular ? `${result.type}:${result.joints.join(',')}` : '';
+    if (key !== helper.key || helper.robot !== this.robot) {
+      helper.key = key;
+      helper.robot = this.robot;
+      helper.overlays.forEach(o => o.removeFromParent());
+      helper.overlays = [];
+
+      // the link geometry up to the next movable joint
+      const isJoint = j => j.isURDFJoint && j.jointType !== 'fixed';
+      const collect = (o, root) => {
+        if (o.isURDFCollider || (o !== root && isJoint(o))) return;
+        if (o.isMesh) {
+          const overlay = new THREE.Mesh(o.geometry, helper.material);
+          Object.assign(overlay, { raycast: emptyRaycast, matrixAutoUpdate: false, renderOrder: 1, userData: { source: o } });
+          helper.group.add(overlay);
+          helper.overlays.push(overlay);
+        }
+        o.children.forEach(c => collect(c, root));
+      };
+      result.joints.forEach(name => collect(this.robot.joints[name], this.robot.joints[name]));
+      this.dispatchEvent(ev('singularity-change', result));
+    }
+
+    this.world.updateMatrixWorld();
+    helper.overlays.forEach(o => {
+      o.matrix.copy(o.userData.source.matrixWorld);
+      o.matrixWorldNeedsUpdate = true;
+    });
+  }
+
+  // the hull is only built once it is shown and only for samples that enclose a volume
+  _updateWorkspaceVisibility() {
+    const helper = this._workspaceHelper;
+    if (!helper) return;
+
+    const hull = this.workspaceDisplay === 'hull';
+    if (hull && !helper.hull && this.workspace.volume > 0) {
+      const { positions } = this.workspace;
+      const vertices = [];
+      for (let i = 0; i < positions.length; i += 3) vertices.push(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+      helper.hull = new THREE.Mesh(
+        new ConvexGeometry(vertices),
+        new THREE.MeshBasicMaterial({ color: 0x38c6ff, transparent: true, opacity: 0.15, depthWrite: false, side: THREE.DoubleSide }),
+      );
+      Object.assign(helper.hull, { raycast: emptyRaycast });
+      helper.group.add(helper.hull);
+    }
+
+    helper.group.visible = this.showWorkspace;
+    // fall back to the points when the samples have no hull
+    helper.points.visible = !hull || !helper.hull;
+    if (helper.hull) helper.hull.visible = hull;
+    this.redraw();
+  }
+
   _setUp(up) {
     const U = (up || '+Z').toUpperCase();
     const sign = U.includes('-') ? '-' : '+';
@@ -0,0 +1,100 @@
+// Reads and writes the viewer state in the page query string so a link
+// reproduces the exact view. Joint values are written as "name:value" pairs
+// with multi-dof values separated by "|".
+const TOGGLES = ['ik', 'collision', 'radians', 'limits'];
+
+function parseVector(str) {
+
+    if (!str) return null;
+    const values = str.split(',').map(v => parseFloat(v));
+    return values.length === 3 && values.every(v => isFinite(v)) ? values : null;
+
+}
+
+function formatVector(v, digits = 3) {
+
+    return v.map(n => parseFloat(n.toFixed(digits))).join(',');
+
+}
+
+// Returns the state found in the query string. Missing entries are undefined.
+export function readURLState(search = window.location.search) {
+
+    const params = new URLSearchParams(search);
+    const state = {
+        robot: params.get('robot') || undefined,
+        up: params.get('up') || undefined,
+        camera: parseVector(params.get('camera')) || undefined,
+        target: parseVector(params.get('target')) || undefined,
+        jointValues: undefined,
+        toggles: {},
+    };
+
+    // joint names are decoded individually so they may contain the separators
+    const joints = search
+        .replace(/^\?/, '')
+        .split('&')
+        .filter(p => p.startsWith('joints='))
+        .map(p => p.substr('joints='.length))
+        .pop();
+    if (joints) {
+
+        state.jointValues = {};
+        joints.split(',').forEach(entry => {
+
+            const [name, values] = entry.split(':');
+            const parsed = (values || '').split('|').map(v => parseFloat(v));
+            if (name && parsed.every(v => isFinite(v))) {
+
+                state.jointValues[decodeURIComponent(name)] = parsed;
+
+            }
+
+        });
+
+    }
+
+    TOGGLES.forEach(key => {
+
+        if (params.has(key)) {
+
+            state.toggles[key] = params.get(key) === '1';
+
+        }
+
+    });
+
+    return state;
+
+}
+
+// Replaces the query string with the given state without adding a history entry
+export function writeURLState(state) {
+
+    const parts = [];
+    const add = (key, value) => parts.push(`${ key }=${ value }`);
+
+    if (state.robot) add('robot', encodeURIComponent(state.robot));
+    if (state.up) add('up', encodeURIComponent(state.up));
+    if (state.camera) add('camera', formatVector(state.camera));
+    if (state.target) add('target', formatVector(state.target));
+
+    if (state.jointValues) {
+
+        const joints = Object.entries(state.jointValues)
+            .map(([name, values]) => `${ encodeURIComponent(name) }:${ values.map(v => parseFloat(v.toFixed(4))).join('|') }`);
+
+        if (joints.length) add('joints', joints.join(','));
+
+    }
+
+    TOGGLES.forEach(key => {
+
+        if (key in state.toggles) add(key, state.toggles[key] ? '1' : '0');
+
+    });
+
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${ pathname }${ parts.length ? '?' + parts.join('&') : '' }${ hash }`);
+
+}
@@ -0,0 +1,224 @@
+import { Vector3, Ray, Plane, Color, LinearSRGBColorSpace, SRGBColorSpace } from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+// Range sampled for joints that can turn all the way around
+const FULL_TURN = [-Math.PI, Math.PI];
+
+// Returns the [lower, upper] range a joint is sampled over
+function getJointRange(joint) {
+
+    const { lower, upper } = joint.limit;
+    if (joint.jointType === 'prismatic') {
+
+        return [lower, Math.max(lower, upper)];
+
+    }
+
+    if (joint.jointType === 'continuous' || joint.ignoreLimits || lower >= upper) {
+
+        return FULL_TURN;
+
+    }
+
+    return [lower, upper];
+
+}
+
+// Returns the translational manipulability, sqrt(det(Jp Jp^T)), from the linear rows of a jacobian
+function getPositionManipulability(jacobian) {
+
+    const [x, y, z] = jacobian;
+    const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+    const xx = dot(x, x), xy = dot(x, y), xz = dot(x, z);
+    const yy = dot(y, y), yz = dot(y, z), zz = dot(z, z);
+    const det = xx * (yy * zz - yz * yz) - xy * (xy * zz - yz * xz) + xz * (xy * yz - yy * xz);
+
+    return Math.sqrt(Math.max(det, 0));
+
+}
+
+// Returns whether the points span a volume, picking the extreme points the same way the
+// convex hull starts out. Points on a single spot, line or plane have no hull.
+function spansVolume(points, tolerance = 1e-6) {
+
+    if (points.length < 4) return false;
+
+    const farthest = distance => points.reduce((best, p) => distance(p) > distance(best) ? p : best, points[0]);
+    const a = points[0];
+    const b = farthest(p => p.distanceTo(a));
+    const ab = new Vector3().subVectors(b, a);
+    if (ab.length() < tolerance) return false;
+
+    const ray = new Ray(a, ab.clone().normalize());
+    const c = farthest(p => ray.distanceToPoint(p));
+    if (ray.distanceToPoint(c) < tolerance) return false;
+
+    const plane = new Plane().setFromCoplanarPoints(a, b, c);
+    const d = farthest(p => Math.abs(plane.distanceToPoint(p)));
+    return Math.abs(plane.distanceToPoint(d)) >= tolerance;
+
+}
+
+// Returns the volume enclosed by a convex hull, summing the tetrahedra its faces span with the origin
+function getHullVolume(hull) {
+
+    const cross = new Vector3();
+    let volume = 0;
+    hull.faces.forEach(face => {
+
+        // fan out from the first vertex of the face
+        const a = face.edge.head().point;
+        for (let edge = face.edge.next; edge.next !== face.edge; edge = edge.next) {
+
+            cross.crossVectors(edge.head().point, edge.next.head().point);
+            volume += a.dot(cross) / 6;
+
+        }
+
+    });
+
+    return Math.abs(volume);
+
+}
+
+// Samples joint configurations within the joint limits and computes where each puts the tip
+// frame relative to the robot root, along with the manipulability there. Only the joints that
+// move the tip are sampled and the robot is left unchanged. The reach is the furthest sample
+// from the first of those joints and the volume is that of the convex hull of the samples,
+// which overestimates workspaces with hollows the arm can't reach. The volume is 0 when
+// the samples lie on a point, line or plane, eg when no joint moves the tip.
+//
+// Options:
+// samples: the number of configurations to draw
+// random: function returning uniformly distributed numbers in [0, 1)
+//
+// Returns { joints, configurations, positions, manipulability, base, reach, volume } or null
+// if the tip frame is not part of the robot
+export function sampleWorkspace(robot, tipFrame, options = {}) {
+
+    const {
+        samples = 5000,
+        random = Math.random,
+    } = options;
+
+    const frame = typeof tipFrame === 'string' ? robot.frames[tipFrame] : tipFrame;
+    const chain = frame ? robot.getJacobian(frame) : null;
+    if (!chain) return null;
+
+    const { joints } = chain;
+    const ranges = joints.map(name => getJointRange(robot.joints[name]));
+
+    // None of the sampled joints move the origin of the first one
+    const base = new Vector3();
+    if (joints.length) {
+
+        base.setFromMatrixPosition(robot.computeFK({}, robot.joints[joints[0]]));
+
+    }
+
+    const configurations = [];
+    const positions = new Float32Array(samples * 3);
+    const manipulability = new Float32Array(samples);
+    const points = [];
+    let reach = 0;
+    for (let i = 0; i < samples; i++) {
+
+        const values = {};
+        joints.forEach((name, k) => {
+
+            const [lower, upper] = ranges[k];
+            values[name] = lower + random() * (upper - lower);
+
+        });
+        configurations.push(values);
+
+        const position = new Vector3().setFromMatrixPosition(robot.computeFK(values, frame));
+        position.toArray(positions, i * 3);
+        points.push(position);
+        manipulability[i] = getPositionManipulability(robot.getJacobian(frame, values).jacobian);
+
+        reach = Math.max(reach, position.distanceTo(base));
+
+    }
+
+    return {
+        joints,
+        configurations,
+        positions,
+        manipulability,
+        base,
+        reach,
+        volume: joints.length && spansVolume(points) ? getHullVolume(new ConvexHull().setFromPoints(points)) : 0,
+    };
+
+}
+
+// Returns vertex colors for the workspace samples running from blue at the lowest
+// manipulability to red at the highest, in linear space for rendering by default
+export function getWorkspaceColors(workspace, colorSpace = LinearSRGBColorSpace) {
+
+    const { manipulability } = workspace;
+    let max = 0;
+    manipulability.forEach(m => max = Math.max(max, m));
+
+    const colors = new Float32Array(manipulability.length * 3);
+    const color = new Color();
+    const rgb = { r: 0, g: 0, b: 0 };
+    manipulability.forEach((m, i) => {
+
+        color.setHSL(0.66 * (1 - (max > 0 ? m / max : 0)), 1, 0.5).getRGB(rgb, colorSpace);
+        colors[i * 3] = rgb.r;
+        colors[i * 3 + 1] = rgb.g;
+        colors[i * 3 + 2] = rgb.b;
+
+    });
+
+    return colors;
+
+}
+
+// Returns the workspace samples as an ASCII PLY point cloud colored by manipulability
+export function workspaceToPLY(workspace) {
+
+    const { positions } = workspace;
+    const colors = getWorkspaceColors(workspace, SRGBColorSpace);
+    const count = positions.length / 3;
+    const lines = [
+        'ply',
+        'format ascii 1.0',
+        `element vertex ${ count }`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property uchar red',
+        'property uchar green',
+        'property uchar blue',
+        'end_header',
+    ];
+
+    for (let i = 0; i < count; i++) {
+
+        const rgb = [0, 1, 2].map(k => Math.round(colors[i * 3 + k] * 255));
+        lines.push(`${ positions[i * 3] } ${ positions[i * 3 + 1] } ${ positions[i * 3 + 2] } ${ rgb.join(' ') }`);
+
+    }
+
+    return lines.join('\n') + '\n';
+
+}
+
+// Returns the workspace samples as CSV with the tip position, manipulability and joint values of each
+export function workspaceToCSV(workspace) {
+
+    const { positions, manipulability, configurations, joints } = workspace;
+    const lines = [['x', 'y', 'z', 'manipulability', ...joints].join(',')];
+    configurations.forEach((values, i) => {
+
+        const position = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+        lines.push([...position, manipulability[i], ...joints.map(name => values[name])].join(','));
+
+    });
+
+    return lines.join('\n') + '\n';
+
+}
@@ -0,0 +1,138 @@
+// Helpers for loading robots out of in-memory file sets such as dropped folders
+// and zip archives. Zip archives are read with JSZip, which is expected to be
+// available as a global.
+
+const MODEL_REGEX = /(urdf|xacro|sdf|xml)$/i;
+const PACKAGE_XML_REGEX = /(^|\/)package\.xml$/i;
+
+export function isZipFile(path) {
+
+    return /\.zip$/i.test(path.split(/[?#]/)[0]);
+
+}
+
+// removes '..' and '.' tokens and normalizes slashes
+export function cleanFilePath(path) {
+
+    return path
+        .replace(/\\/g, '/')
+        .split(/\//g)
+        .reduce((acc, el) => {
+
+            if (el === '..') acc.pop();
+            else if (el !== '.') acc.push(el);
+            return acc;
+
+        }, [])
+        .join('/');
+
+}
+
+// Reads the zip data into a map of "/path/in/archive" to Blob. Resolves with
+// the file map.
+export function loadZipFiles(data, prefix = '') {
+
+    const JSZip = window.JSZip;
+    if (!JSZip) {
+
+        return Promise.reject(new Error('zipLoader: JSZip is not available.'));
+
+    }
+
+    return JSZip.loadAsync(data).then(zip => {
+
+        const files = {};
+        const promises = [];
+        zip.forEach((path, entry) => {
+
+            // skip directories and the resource forks added by macOS
+            if (entry.dir || /(^|\/)(__MACOSX\/|\._)/.test(path)) return;
+
+            promises.push(entry.async('blob').then(blob => {
+
+                files[cleanFilePath(`${ prefix }/${ path }`)] = blob;
+
+            }));
+
+        });
+
+        return Promise.all(promises).then(() => files);
+
+    });
+
+}
+
+// Returns the robot description files in the list, skipping ROS package manifests
+export function getModelFiles(fileNames) {
+
+    return fileNames.filter(n => MODEL_REGEX.test(n) && !PACKAGE_XML_REGEX.test(n));
+
+}
+
+// Returns the most likely intended display model, preferring complete robot
+// descriptions over xacro files that are only included
+export function pickModelFile(fileNames) {
+
+    const modelFiles = getModelFiles(fileNames);
+    return modelFiles.find(n => /urdf$/i.test(n)) ||
+        modelFiles.find(n => /\.urdf\.xacro$/i.test(n)) ||
+        modelFiles.find(n => /sdf$/i.test(n)) ||
+        modelFiles.find(n => /xml$/i.test(n)) ||
+        modelFiles[0];
+
+}
+
+// Creates a url modifier function for a LoadingManager that maps requested
+// urls onto blob urls of the matching files in the map
+export function createFileURLModifier(files, getPackage = () => '') {
+
+    const fileNames = Object.keys(files).map(n => cleanFilePath(n));
+    const blobs = {};
+    Object.keys(files).forEach(n => blobs[cleanFilePath(n)] = files[n]);
+
+    const findFile = path => fileNames
+        .filter(name => {
+
+            // check if the end of file and url are the same
+            const len = Math.min(name.length, path.length);
+            return path.substr(path.length - len) === name.substr(name.length - len);
+
+        }).pop();
+
+    return url => {
+
+        // find the matching file given the requested url
+        const cleaned = cleanFilePath(url.replace(getPackage(), ''));
+
+        // First try: exact suffix match
+        let fileName = findFile(cleaned);
+
+        // Second try: if URL has "meshes" in path, try replacing with "assets" and vice versa
+        if (fileName === undefined) {
+
+            let alternativePath = cleaned;
+            if (cleaned.includes('/meshes/')) {
+                alternativePath = cleaned.replace('/meshes/', '/assets/');
+            } else if (cleaned.includes('/assets/')) {
+                alternativePath = cleaned.replace('/assets/', '/meshes/');
+            }
+
+            fileName = findFile(alternativePath);
+
+        }
+
+        if (fileName !== undefined) {
+
+            // revoke the url after it's been used
+            const bloburl = URL.createObjectURL(blobs[fileName]);
+            requestAnimationFrame(() => URL.revokeObjectURL(bloburl));
+
+            return bloburl;
+
+        }
+
+        return url;
+
+    };
+
+}